@@ -0,0 +1,64 @@
+/**
+ * СРАВНЕНИЕ СИНХРОННОГО И АСИНХРОННОГО ВЫВОДА
+ *
+ * Запуск: npm run bench -- [число записей] [файл вывода]
+ * По умолчанию 100000 записей пишутся в /dev/null (NUL в Windows).
+ */
+
+import fs from "fs";
+import os from "os";
+import { performance } from "perf_hooks";
+
+import { createLogger, createStreamTransport } from "../src/index.js";
+import { createAsyncTransport } from "../src/node.js";
+
+const count = Number(process.argv[2]) || 100000;
+const target = process.argv[3] || os.devNull;
+
+/**
+ * Пишет записи через логгер и измеряет время вызовов и полной записи
+ * @param {string} name - Название режима
+ * @param {Object} transport - Транспорт логгера
+ * @returns {Promise} Завершается после записи всех строк
+ */
+function run(name, transport) {
+  const logger = createLogger({ transports: [transport], colorLevel: "none" });
+  const start = performance.now();
+
+  for (let i = 0; i < count; i++) {
+    logger.info(`Запрос ${i} обработан`, { route: "/users", ms: i % 50 });
+  }
+
+  const calls = performance.now() - start;
+
+  return logger.flush().then(() => {
+    const total = performance.now() - start;
+    const rate = Math.round(count / (total / 1000)).toLocaleString("en");
+
+    console.log(
+      `${name.padEnd(6)} calls ${calls.toFixed(0).padStart(6)} ms, ` +
+        `total ${total.toFixed(0).padStart(6)} ms, ${rate} lines/s`
+    );
+  });
+}
+
+// Синхронный вывод: каждая строка сразу записывается в файл, как console.log
+const fd = fs.openSync(target, "a");
+const syncStream = { write: (line) => fs.writeSync(fd, line) };
+
+// Асинхронный вывод: строки копятся в буфере и пишутся пачками
+const asyncStream = fs.createWriteStream(target, { flags: "a" });
+
+console.log(`${count} records -> ${target}`);
+
+run("sync", createStreamTransport({ stream: syncStream, colorLevel: "none" }))
+  .then(() =>
+    run(
+      "async",
+      createAsyncTransport({ stream: asyncStream, colorLevel: "none" })
+    )
+  )
+  .then(() => {
+    fs.closeSync(fd);
+    asyncStream.end();
+  });
@@ -0,0 +1,77 @@
+/**
+ * ПРОВЕРКА ВЫВОДА ЧЕРЕЗ ЗАХВАТ И РУЧНЫЕ ЧАСЫ
+ *
+ * Запуск: npm run example:capture
+ * Пример из раздела "Testing with Capture" README: завершается с ошибкой,
+ * если захваченные записи не совпадают с ожидаемыми.
+ */
+
+import assert from "assert";
+
+import { LOG, createLogger, createManualClock } from "../src/index.js";
+
+// Захват с ручными часами: окна повторов закрываются только по advance()
+const records = LOG.capture({ clock: true });
+LOG.enableSuppression();
+
+LOG.warn("Disk almost full");
+LOG.warn("Disk almost full");
+
+assert.strictEqual(records.filter("warn").length, 1);
+assert.strictEqual(records.find("warn", /disk/i).msg, "Disk almost full");
+
+records.advance(1000);
+assert.strictEqual(
+  records.text(),
+  "[warn] Disk almost full\n[warn] [Повторён 1 раз]"
+);
+
+records.expectNoErrors();
+records.stop();
+LOG.disableSuppression();
+
+// Сообщения, пропущенные ограничением частоты, не считаются повторами
+const limited = createLogger({
+  colorLevel: "none",
+  suppression: { enabled: true, limits: { info: { first: 1, every: 100 } } },
+});
+const limitedRecords = limited.capture({ clock: true });
+
+limited.info("A");
+limited.info("B");
+limited.info("B");
+limited.info("B");
+limitedRecords.advance(10000);
+
+assert.strictEqual(
+  limitedRecords.text(),
+  "[info] A\n[info] [Пропущено сообщений info: 3 за 5s]"
+);
+limitedRecords.stop();
+
+// Дочерний логгер захватывается отдельно от родителя
+const api = createLogger({ name: "api", colorLevel: "none" });
+const db = api.child({ name: "db" });
+const parentRecords = api.capture();
+const childRecords = db.capture();
+
+db.error("Connection lost");
+
+assert.strictEqual(parentRecords.records.length, 0);
+assert.throws(() => childRecords.expectNoErrors(), /Connection lost/);
+parentRecords.stop();
+childRecords.stop();
+
+// Свои часы: таймеры срабатывают по порядку при advance()
+const clock = createManualClock(0);
+const fired = [];
+
+clock.setTimeout(() => fired.push("b"), 200);
+clock.setTimeout(() => fired.push("a"), 100);
+clock.advance(150);
+assert.deepStrictEqual(fired, ["a"]);
+clock.advance(50);
+assert.deepStrictEqual(fired, ["a", "b"]);
+assert.strictEqual(clock.now(), 200);
+
+console.log("capture: ok");
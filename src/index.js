@@ -91,13 +91,380 @@ const COLORS = {
  */
 const INDEX = { down: 73, up: 74, off: 75 };
 
+/**
+ * Именованные цвета CSS (CSS Color Module Level 4)
+ * Базовые имена из COLORS имеют приоритет и выводятся кодами 30-37
+ * @constant {Object}
+ */
+const CSS_COLORS = {
+  aliceblue: "#f0f8ff",
+  antiquewhite: "#faebd7",
+  aqua: "#00ffff",
+  aquamarine: "#7fffd4",
+  azure: "#f0ffff",
+  beige: "#f5f5dc",
+  bisque: "#ffe4c4",
+  black: "#000000",
+  blanchedalmond: "#ffebcd",
+  blue: "#0000ff",
+  blueviolet: "#8a2be2",
+  brown: "#a52a2a",
+  burlywood: "#deb887",
+  cadetblue: "#5f9ea0",
+  chartreuse: "#7fff00",
+  chocolate: "#d2691e",
+  coral: "#ff7f50",
+  cornflowerblue: "#6495ed",
+  cornsilk: "#fff8dc",
+  crimson: "#dc143c",
+  cyan: "#00ffff",
+  darkblue: "#00008b",
+  darkcyan: "#008b8b",
+  darkgoldenrod: "#b8860b",
+  darkgray: "#a9a9a9",
+  darkgreen: "#006400",
+  darkgrey: "#a9a9a9",
+  darkkhaki: "#bdb76b",
+  darkmagenta: "#8b008b",
+  darkolivegreen: "#556b2f",
+  darkorange: "#ff8c00",
+  darkorchid: "#9932cc",
+  darkred: "#8b0000",
+  darksalmon: "#e9967a",
+  darkseagreen: "#8fbc8f",
+  darkslateblue: "#483d8b",
+  darkslategray: "#2f4f4f",
+  darkslategrey: "#2f4f4f",
+  darkturquoise: "#00ced1",
+  darkviolet: "#9400d3",
+  deeppink: "#ff1493",
+  deepskyblue: "#00bfff",
+  dimgray: "#696969",
+  dimgrey: "#696969",
+  dodgerblue: "#1e90ff",
+  firebrick: "#b22222",
+  floralwhite: "#fffaf0",
+  forestgreen: "#228b22",
+  fuchsia: "#ff00ff",
+  gainsboro: "#dcdcdc",
+  ghostwhite: "#f8f8ff",
+  gold: "#ffd700",
+  goldenrod: "#daa520",
+  gray: "#808080",
+  green: "#008000",
+  greenyellow: "#adff2f",
+  grey: "#808080",
+  honeydew: "#f0fff0",
+  hotpink: "#ff69b4",
+  indianred: "#cd5c5c",
+  indigo: "#4b0082",
+  ivory: "#fffff0",
+  khaki: "#f0e68c",
+  lavender: "#e6e6fa",
+  lavenderblush: "#fff0f5",
+  lawngreen: "#7cfc00",
+  lemonchiffon: "#fffacd",
+  lightblue: "#add8e6",
+  lightcoral: "#f08080",
+  lightcyan: "#e0ffff",
+  lightgoldenrodyellow: "#fafad2",
+  lightgray: "#d3d3d3",
+  lightgreen: "#90ee90",
+  lightgrey: "#d3d3d3",
+  lightpink: "#ffb6c1",
+  lightsalmon: "#ffa07a",
+  lightseagreen: "#20b2aa",
+  lightskyblue: "#87cefa",
+  lightslategray: "#778899",
+  lightslategrey: "#778899",
+  lightsteelblue: "#b0c4de",
+  lightyellow: "#ffffe0",
+  lime: "#00ff00",
+  limegreen: "#32cd32",
+  linen: "#faf0e6",
+  magenta: "#ff00ff",
+  maroon: "#800000",
+  mediumaquamarine: "#66cdaa",
+  mediumblue: "#0000cd",
+  mediumorchid: "#ba55d3",
+  mediumpurple: "#9370db",
+  mediumseagreen: "#3cb371",
+  mediumslateblue: "#7b68ee",
+  mediumspringgreen: "#00fa9a",
+  mediumturquoise: "#48d1cc",
+  mediumvioletred: "#c71585",
+  midnightblue: "#191970",
+  mintcream: "#f5fffa",
+  mistyrose: "#ffe4e1",
+  moccasin: "#ffe4b5",
+  navajowhite: "#ffdead",
+  navy: "#000080",
+  oldlace: "#fdf5e6",
+  olive: "#808000",
+  olivedrab: "#6b8e23",
+  orange: "#ffa500",
+  orangered: "#ff4500",
+  orchid: "#da70d6",
+  palegoldenrod: "#eee8aa",
+  palegreen: "#98fb98",
+  paleturquoise: "#afeeee",
+  palevioletred: "#db7093",
+  papayawhip: "#ffefd5",
+  peachpuff: "#ffdab9",
+  peru: "#cd853f",
+  pink: "#ffc0cb",
+  plum: "#dda0dd",
+  powderblue: "#b0e0e6",
+  purple: "#800080",
+  rebeccapurple: "#663399",
+  red: "#ff0000",
+  rosybrown: "#bc8f8f",
+  royalblue: "#4169e1",
+  saddlebrown: "#8b4513",
+  salmon: "#fa8072",
+  sandybrown: "#f4a460",
+  seagreen: "#2e8b57",
+  seashell: "#fff5ee",
+  sienna: "#a0522d",
+  silver: "#c0c0c0",
+  skyblue: "#87ceeb",
+  slateblue: "#6a5acd",
+  slategray: "#708090",
+  slategrey: "#708090",
+  snow: "#fffafa",
+  springgreen: "#00ff7f",
+  steelblue: "#4682b4",
+  tan: "#d2b48c",
+  teal: "#008080",
+  thistle: "#d8bfd8",
+  tomato: "#ff6347",
+  turquoise: "#40e0d0",
+  violet: "#ee82ee",
+  wheat: "#f5deb3",
+  white: "#ffffff",
+  whitesmoke: "#f5f5f5",
+  yellow: "#ffff00",
+  yellowgreen: "#9acd32",
+};
+
+// =============================================================================
+// ТЕМЫ ОФОРМЛЕНИЯ
+// =============================================================================
+
+/**
+ * Встроенные темы: семантические имена и цвета методов логгера
+ * Значения - стили в формате prepareObject или строка цвета
+ * @constant {Object}
+ */
+const THEMES = {
+  dark: {
+    trace: { color: "white" },
+    debug: { color: "blue" },
+    warn: { color: "yellow" },
+    error: { color: "red" },
+    fatal: { color: "red" },
+    success: { color: "green" },
+    muted: { style: "dim" },
+    highlight: { color: "cyan", style: "bold" },
+    path: { color: "cyan", style: "underline" },
+    number: { color: "yellow" },
+  },
+  light: {
+    trace: { style: "dim" },
+    debug: { color: "blue" },
+    warn: { color: "#af5f00" },
+    error: { color: "red" },
+    fatal: { color: "red", style: "bold" },
+    success: { color: "#008700" },
+    muted: { style: "dim" },
+    highlight: { color: "blue", style: "bold" },
+    path: { color: "blue", style: "underline" },
+    number: { color: "magenta" },
+  },
+};
+
+/**
+ * Стили семантических имен, на которые ссылается сам логгер (цвета методов,
+ * 'muted' итогов подавления), если активная тема их не задает, например
+ * при extends: null; info по умолчанию выводится без оформления
+ * @constant {Object}
+ */
+const THEME_FALLBACKS = { ...THEMES.dark, info: {} };
+
+/**
+ * Активная тема
+ * @type {Object}
+ */
+const activeTheme = { name: "dark", styles: THEMES.dark };
+
+/**
+ * Нормализует стиль темы: строка считается цветом
+ * @param {string|Object} style - Стиль
+ * @returns {Object} Стиль в формате prepareObject
+ */
+function normalizeThemeStyle(style) {
+  return typeof style === "string" ? { color: style } : { ...style };
+}
+
+/**
+ * Регистрирует тему; недостающие имена берутся из базовой темы
+ * @param {string} name - Имя темы
+ * @param {Object} styles - Семантические имена и стили {success: {color: 'green'}, path: 'cyan'}
+ * @param {Object} [options={}] - Опции
+ * @param {string|null} [options.extends='dark'] - Базовая тема (null - без базовой,
+ *   имена, которые использует логгер, берутся из THEME_FALLBACKS)
+ *
+ * @example
+ * registerTheme('solarized', {
+ *   success: { color: '#859900' },
+ *   highlight: { color: '#ff8800', style: ['bold'] },
+ * })
+ */
+export function registerTheme(name, styles, options = {}) {
+  const base = options.extends === undefined ? "dark" : options.extends;
+  if (base !== null && !THEMES[base]) {
+    throw new Error(`Неизвестная тема: ${base}`);
+  }
+
+  const normalized = {};
+  Object.entries(styles || {}).forEach(([key, style]) => {
+    normalized[key] = normalizeThemeStyle(style);
+  });
+
+  THEMES[name] = { ...(base !== null ? THEMES[base] : {}), ...normalized };
+
+  // Перерегистрация активной темы применяется сразу
+  if (activeTheme.name === name) activeTheme.styles = THEMES[name];
+}
+
+/**
+ * Переключает активную тему
+ * @param {string|Object} theme - Имя зарегистрированной темы или объект стилей
+ *
+ * @example
+ * setTheme('light')
+ * setTheme({ success: 'green', muted: { color: '#888888' } }) // поверх 'dark'
+ */
+export function setTheme(theme) {
+  if (typeof theme === "string") {
+    if (!THEMES[theme]) throw new Error(`Неизвестная тема: ${theme}`);
+    activeTheme.name = theme;
+    activeTheme.styles = THEMES[theme];
+    return;
+  }
+
+  registerTheme("custom", theme);
+  setTheme("custom");
+}
+
+/**
+ * Возвращает активную тему
+ * @returns {Object} {name, styles}
+ */
+export function getTheme() {
+  return { name: activeTheme.name, styles: { ...activeTheme.styles } };
+}
+
+/**
+ * Ищет семантическое имя в активной теме, затем среди THEME_FALLBACKS
+ * @param {string} name - Имя, например 'success'
+ * @returns {Object|null} Стиль в формате prepareObject или null
+ */
+function getThemeStyle(name) {
+  if (typeof name !== "string") return null;
+  if (Object.prototype.hasOwnProperty.call(activeTheme.styles, name)) {
+    return activeTheme.styles[name];
+  }
+  return Object.prototype.hasOwnProperty.call(THEME_FALLBACKS, name)
+    ? THEME_FALLBACKS[name]
+    : null;
+}
+
+/**
+ * Раскрывает семантическое имя в поле color стиля prepareObject;
+ * стили темы и стиля объединяются
+ * @param {Object} data - Стиль, например {color: 'success', style: 'underline'}
+ * @returns {Object} Стиль без семантических имен
+ */
+function expandThemeStyle(data) {
+  const theme = getThemeStyle(data.color);
+  if (!theme) return data;
+
+  const { color, ...rest } = data;
+  const styles = [theme.style, rest.style].flat().filter(Boolean);
+  const expanded = { ...theme, ...rest };
+
+  if (styles.length) expanded.style = styles;
+  return expanded;
+}
+
+// Начальная тема берется из переменной окружения LOG_THEME
+if (THEMES[globalThis.process?.env?.LOG_THEME]) {
+  setTheme(globalThis.process.env.LOG_THEME);
+}
+
 // =============================================================================
 // ОСНОВНЫЕ ФУНКЦИИ ФОРМАТИРОВАНИЯ
 // =============================================================================
 
+/**
+ * Настройки разбора цветов
+ * @type {Object}
+ * @property {boolean} strict - Ошибка на неизвестных цветах вместо тихого пропуска
+ */
+const colorConfig = { strict: false };
+
+/**
+ * Настраивает разбор цветов
+ * @param {Object} [config={}] - Настройки
+ * @param {boolean} [config.strict] - Бросать ошибку на неизвестном цвете
+ *   (по умолчанию неизвестный цвет пропускается, а имя ищется по вхождению: 'redish' → red)
+ *
+ * @example
+ * configureColors({ strict: true })
+ * LOG.print('Текст', 'orang') // Error: Неизвестный цвет: orang
+ */
+export function configureColors(config = {}) {
+  if (config.hasOwnProperty("strict")) colorConfig.strict = !!config.strict;
+}
+
+/**
+ * Приводит имя цвета к ключу таблиц: нижний регистр без '_', '-' и пробелов
+ * @param {string} name - Имя цвета, например 'brightRed' или 'Dark_Red'
+ * @returns {string} Ключ, например 'brightred'
+ */
+function normalizeColorName(name) {
+  return `${name}`.toLowerCase().replace(/[\s_-]/g, "");
+}
+
+/**
+ * Выделяет базовый цвет из яркого варианта: brightRed, redBright
+ * @param {string} name - Нормализованное имя
+ * @returns {string|null} Имя из COLORS или null
+ */
+function getBrightBase(name) {
+  const match = /^bright(\w+)$|^(\w+)bright$/.exec(name);
+  const base = match && (match[1] || match[2]);
+  return base && base !== "reset" && COLORS.hasOwnProperty(base) ? base : null;
+}
+
+/**
+ * Проверяет, является ли строка известным именем цвета
+ * @param {string} name - Имя цвета
+ * @returns {boolean} true для имен COLORS, ярких вариантов и цветов CSS
+ */
+function isNamedColor(name) {
+  const key = normalizeColorName(name);
+  return (
+    COLORS.hasOwnProperty(key) ||
+    CSS_COLORS.hasOwnProperty(key) ||
+    getBrightBase(key) !== null
+  );
+}
+
 /**
  * Генерирует ANSI код для указанного цвета
- * @param {string} text - Название цвета или пустая строка для RGB
+ * @param {string} text - Название цвета (COLORS, brightRed, цвет CSS) или пустая строка для RGB
  * @param {Object} [options=null] - Дополнительные опции
  * @param {boolean} [options.bg=false] - true для цвета фона
  * @param {boolean} [options.contrast=false] - true для яркой версии цвета
@@ -118,12 +485,17 @@ function getColor(text = "", options = null) {
   if (!rgb && text.length < 3) return "";
 
   let keyShifting = 0;
+  let name = normalizeColorName(text);
+
+  // Яркие варианты имен: brightRed, redBright
+  const brightBase = rgb ? null : getBrightBase(name);
+  if (brightBase) name = brightBase;
 
   // Сдвиг для цвета фона (+10 к базовому коду)
   if (bg) keyShifting += 10;
 
   // Сдвиг для ярких цветов (+60 к базовому коду)
-  if (contrast && !rgb) keyShifting += 60;
+  if ((contrast || brightBase) && !rgb) keyShifting += 60;
 
   // Обработка RGB цветов
   if (rgb) {
@@ -138,10 +510,16 @@ function getColor(text = "", options = null) {
   }
 
   // Поиск именованного цвета
-  let key = Object.keys(COLORS).find((i) => i === text.toLowerCase());
+  let key = Object.keys(COLORS).find((i) => i === name);
 
-  if (!key) {
-    key = Object.keys(COLORS).find((i) => text.toLowerCase().includes(i));
+  // Цвета CSS выводятся как RGB
+  if (!key && CSS_COLORS.hasOwnProperty(name)) {
+    return getColor("", { bg, rgb: hexToRgb(CSS_COLORS[name]) });
+  }
+
+  // Вне строгого режима имя ищется по вхождению: 'redish' → red
+  if (!key && !colorConfig.strict) {
+    key = Object.keys(COLORS).find((i) => name.includes(i));
   }
 
   if (!key) return "";
@@ -150,6 +528,31 @@ function getColor(text = "", options = null) {
   return `${prefix}${color}${postfix}`;
 }
 
+/**
+ * Синонимы направлений индекса для halving и тегов разметки
+ * @constant {Object}
+ */
+const INDEX_ALIASES = {
+  down: ["down", "superscript", "super", "sup", "under", "bottom", "lower"],
+  up: ["up", "subscript", "sub", "over", "top", "upper"],
+};
+
+/**
+ * Определяет направление индекса
+ * @param {string|number} reg - Имя направления или число (>0 - up, <0 - down)
+ * @returns {string|null} 'up', 'down' или null
+ */
+function getIndexKey(reg) {
+  const name = `${reg}`.toLowerCase();
+  if (INDEX_ALIASES.down.includes(name) || (!isNaN(+reg) && reg < 0)) {
+    return "down";
+  }
+  if (INDEX_ALIASES.up.includes(name) || (!isNaN(+reg) && reg > 0)) {
+    return "up";
+  }
+  return null;
+}
+
 /**
  * Применяет верхние/нижние индексы к тексту
  * @param {string} text - Текст для преобразования
@@ -165,23 +568,7 @@ function halving(text, reg, styles) {
   if (!reg) return text;
 
   // Определение направления индекса
-  const down =
-    [
-      "down",
-      "superscript",
-      "super",
-      "sup",
-      "under",
-      "bottom",
-      "lower",
-    ].includes(`${reg}`.toLowerCase()) ||
-    (!isNaN(+reg) && reg < 0);
-  const up =
-    ["up", "subscript", "sub", "over", "top", "upper"].includes(
-      `${reg}`.toLowerCase()
-    ) ||
-    (!isNaN(+reg) && reg > 0);
-  const key = down ? "down" : up ? "up" : null;
+  const key = getIndexKey(reg);
 
   if (!key) return text;
 
@@ -275,33 +662,162 @@ function hexToRgb(hex) {
   return [r, g, b];
 }
 
+/**
+ * Конвертирует HSL в RGB
+ * @param {number} h - Тон (градусы)
+ * @param {number} s - Насыщенность (0-100)
+ * @param {number} l - Светлота (0-100)
+ * @returns {Array} Массив [R, G, B]
+ *
+ * @example
+ * hslToRgb(120, 100, 25) // returns [0, 128, 0]
+ */
+function hslToRgb(h, s, l) {
+  const hue = (((h % 360) + 360) % 360) / 360;
+  const sat = Math.min(100, Math.max(0, s)) / 100;
+  const light = Math.min(100, Math.max(0, l)) / 100;
+
+  const q = light < 0.5 ? light * (1 + sat) : light + sat - light * sat;
+  const p = 2 * light - q;
+  const channel = (t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+
+  return [hue + 1 / 3, hue, hue - 1 / 3].map((t) =>
+    Math.round(channel(t) * 255)
+  );
+}
+
+/**
+ * Конвертирует HSV в RGB
+ * @param {number} h - Тон (градусы)
+ * @param {number} s - Насыщенность (0-100)
+ * @param {number} v - Яркость (0-100)
+ * @returns {Array} Массив [R, G, B]
+ *
+ * @example
+ * hsvToRgb(0, 100, 100) // returns [255, 0, 0]
+ */
+function hsvToRgb(h, s, v) {
+  const hue = (((h % 360) + 360) % 360) / 60;
+  const sat = Math.min(100, Math.max(0, s)) / 100;
+  const value = Math.min(100, Math.max(0, v)) / 100;
+
+  const chroma = value * sat;
+  const x = chroma * (1 - Math.abs((hue % 2) - 1));
+  const [r, g, b] = [
+    [chroma, x, 0],
+    [x, chroma, 0],
+    [0, chroma, x],
+    [0, x, chroma],
+    [x, 0, chroma],
+    [chroma, 0, x],
+  ][Math.floor(hue) % 6];
+  const m = value - chroma;
+
+  return [r, g, b].map((i) => Math.round((i + m) * 255));
+}
+
+/**
+ * Разбирает функциональную запись цвета
+ * @param {string} code - Запись вида rgb(…), hsl(…), hsv(…) или ansi256(n)
+ * @returns {Array|null} [R, G, B], [индекс] для ansi256 или null
+ *
+ * @example
+ * parseColorFunction('rgb(255 128 0)') // returns [255, 128, 0]
+ * parseColorFunction('hsl(210, 50%, 40%)') // returns [51, 102, 153]
+ * parseColorFunction('ansi256(208)') // returns [208]
+ */
+function parseColorFunction(code) {
+  const match = /^(rgba?|hsla?|hsva?|ansi256)\((.*)\)$/.exec(code);
+  if (!match) return null;
+
+  const name = match[1].replace(/a$/, "");
+  const args = match[2].split(/[\s,/]+/).filter((i) => i.length);
+  const numbers = args.map((i) => parseFloat(i));
+
+  if (numbers.some((i) => isNaN(i))) return null;
+
+  if (name === "ansi256") {
+    const index = numbers[0];
+    return args.length === 1 &&
+      Number.isInteger(index) &&
+      index >= 0 &&
+      index < 256
+      ? [index]
+      : null;
+  }
+
+  if (numbers.length < 3) return null;
+
+  if (name === "rgb") {
+    // Проценты переводятся в 0-255
+    return args
+      .slice(0, 3)
+      .map((i, index) =>
+        i.endsWith("%") ? numbers[index] * 2.55 : numbers[index]
+      )
+      .map((i) => Math.round(Math.min(255, Math.max(0, i))));
+  }
+
+  return name === "hsl"
+    ? hslToRgb(numbers[0], numbers[1], numbers[2])
+    : hsvToRgb(numbers[0], numbers[1], numbers[2]);
+}
+
 /**
  * Определяет тип цветового кода и парсит его
- * @param {string} code - Цветовой код (имя, HEX, RGB)
+ * Поддерживаются имена COLORS, яркие варианты (brightRed), цвета CSS,
+ * HEX, rgb()/hsl()/hsv(), ansi256(n) и числовые формы RGB (255,0,0, 255-0-0)
+ * @param {string} code - Цветовой код
+ * @param {boolean} [strict=colorConfig.strict] - Ошибка на неизвестном цвете
  * @returns {Object} Объект с распарсенными данными {textCode, options}
  *
  * @example
  * getColorFromText('red') // returns {textCode: 'red', options: {rgb: null}}
+ * getColorFromText('brightRed') // returns {textCode: 'brightRed', options: {rgb: null}}
+ * getColorFromText('orange') // returns {textCode: '', options: {rgb: [255, 165, 0]}}
  * getColorFromText('#ff0000') // returns {textCode: '', options: {rgb: [255, 0, 0]}}
  * getColorFromText('255-0-0') // returns {textCode: '', options: {rgb: [255, 0, 0]}}
+ * getColorFromText('hsl(0, 100%, 50%)') // returns {textCode: '', options: {rgb: [255, 0, 0]}}
+ * getColorFromText('ansi256(208)') // returns {textCode: '', options: {rgb: [208]}}
  */
-function getColorFromText(code) {
-  // Определение типа цвета
-  const hex = code.startsWith("#");
-  const rgb =
-    code.toLowerCase().includes("rgb") ||
-    code.toLowerCase().includes(".") ||
-    code.toLowerCase().includes(",") ||
-    code.toLowerCase().includes("-") ||
-    code.toLowerCase().includes("/") ||
-    code.toLowerCase().includes("\\") ||
-    !isNaN(+code);
-
-  const textCode = hex || rgb ? "" : code;
-  const rgbArray = hex ? hexToRgb(code) : rgb ? parseRGB(code) : [];
+function getColorFromText(code, strict = colorConfig.strict) {
+  const value = `${code}`.trim();
+  const lower = value.toLowerCase();
+  let textCode = "";
+  let rgb = null;
+
+  if (lower.startsWith("#")) {
+    // HEX: #RGB, #RRGGBB, #RRGGBBAA
+    if (/^#([0-9a-f]{3}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(lower)) {
+      rgb = hexToRgb(lower);
+    }
+  } else if (lower.includes("(")) {
+    rgb = parseColorFunction(lower.replace(/\s+/g, " "));
+  } else if (/^\d{1,3}([\s,.\-/\\]+\d{1,3}){0,2}$/.test(lower)) {
+    // Числовые формы: индекс палитры 256 цветов или RGB через разделители
+    rgb = parseRGB(lower);
+  } else if (
+    !COLORS.hasOwnProperty(normalizeColorName(lower)) &&
+    CSS_COLORS.hasOwnProperty(normalizeColorName(lower))
+  ) {
+    rgb = hexToRgb(CSS_COLORS[normalizeColorName(lower)]);
+  } else {
+    textCode = value;
+  }
+
+  if (strict && !rgb && !isNamedColor(textCode)) {
+    throw new Error(`Неизвестный цвет: ${code}`);
+  }
 
   const options = {
-    rgb: rgbArray.length ? rgbArray : null,
+    rgb,
   };
 
   return { textCode, options };
@@ -310,19 +826,35 @@ function getColorFromText(code) {
 /**
  * Простое окрашивание текста одним цветом
  * @param {string} text - Текст для окрашивания
- * @param {string} code - Цветовой код (имя, HEX, RGB)
+ * @param {string} code - Цветовой код (имя, HEX, RGB), как в |c.…|: 'bg_' - фон, '+' - яркий цвет,
+ * или семантическое имя активной темы
  * @returns {string} Окрашенный текст с ANSI кодами
  *
  * @example
  * colorizeByText('Ошибка', 'red') // Красный текст
  * colorizeByText('Текст', '#ff0000') // HEX цвет
  * colorizeByText('Текст', '255-0-0') // RGB цвет
+ * colorizeByText('Текст', 'bg_blue') // Синий фон
+ * colorizeByText('Готово', 'success') // Стиль темы
  */
 function colorizeByText(text, code) {
   if (!code || !`${code}`.length) return text;
 
-  const { textCode, options } = getColorFromText(code);
-  const colorCode = getColor(textCode, options.rgb !== null ? options : null);
+  const themed = getThemeStyle(code);
+  if (themed) return applyStyle(text, themed);
+
+  const isBackground = `${code}`.toLowerCase().startsWith("bg_");
+  const isNeedContrast = `${code}`.endsWith("+");
+  const cleanedCode = `${code}`.replace(/(^bg_|\+$)/gi, "");
+
+  const { textCode, options } = getColorFromText(cleanedCode);
+  const colorCode = getColor(
+    textCode,
+    options.rgb !== null || isBackground || isNeedContrast
+      ? { ...options, bg: isBackground, contrast: isNeedContrast }
+      : null
+  );
+  if (!colorCode) return text;
   return `${colorCode}${text}${reset}`;
 }
 
@@ -331,88 +863,401 @@ function colorizeByText(text, code) {
 // =============================================================================
 
 /**
- * Парсит строку с форматированием через разделители
- * @param {string} text - Текст с командами форматирования
- * @param {Object} [separators=null] - Кастомные разделители
- * @param {string|null} [separators.command='|'] - Разделитель команд
- * @param {string|null} [separators.param='.'] - Разделитель параметров
- * @returns {string} Отформатированный текст
+ * Команды пайп-синтаксиса |команда.параметр.текст|
+ * @constant {Object}
+ */
+const PIPE_COMMANDS = { c: "color", s: "style", i: "index" };
+
+/**
+ * Создает ошибку разметки строгого режима
+ * @param {string} message - Описание ошибки
+ * @param {number} position - Позиция в исходной строке
+ * @returns {Error} Ошибка с полем position
+ */
+function markupError(message, position) {
+  const error = new Error(`Ошибка разметки (позиция ${position}): ${message}`);
+  error.position = position;
+  return error;
+}
+
+/**
+ * Преобразует описание тега в коды включения и выключения
+ * @param {string} kind - Тип тега: 'color', 'style' или 'index'
+ * @param {string} value - Значение: цвет, имя стиля или направление индекса
+ * @param {boolean} [exact=false] - Имена цветов только целиком (для тегов {…})
+ * @returns {Object|null} {kind, open, close} или null для неизвестного значения
+ */
+function resolveTag(kind, value, exact = false) {
+  if (kind === "style") {
+    const style = STYLES[value.toLowerCase()];
+    return style ? { kind, open: `${style.on}`, close: `${style.off}` } : null;
+  }
+
+  if (kind === "index") {
+    const key = getIndexKey(value);
+    return key ? { kind, open: `${INDEX[key]}`, close: `${INDEX.off}` } : null;
+  }
+
+  // Семантическое имя темы раскрывается в набор кодов
+  const themed = getThemeStyle(value);
+  if (themed) {
+    const tag = styleToTag(themed);
+    return tag ? { kind, ...tag } : null;
+  }
+
+  const isBackground = value.toLowerCase().startsWith("bg_");
+  const isNeedContrast = value.endsWith("+");
+  const cleanedCode = value.toLowerCase().replace(/(^bg_|\+$)/g, "");
+  if (!cleanedCode.length) return null;
+
+  // Теги {…} принимают только известные имена, без поиска по вхождению
+  const { textCode, options } = getColorFromText(
+    cleanedCode,
+    exact ? false : colorConfig.strict
+  );
+  if (exact && textCode && (!isNamedColor(textCode) || textCode === "reset")) {
+    return null;
+  }
+
+  const color = getColor(textCode, {
+    ...options,
+    bg: isBackground,
+    contrast: isNeedContrast,
+  });
+  if (!color) return null;
+
+  return {
+    kind,
+    open: color.replace(prefix, "").replace(/m$/, ""),
+    close: isBackground ? "49" : "39",
+  };
+}
+
+/**
+ * Преобразует стиль в формате prepareObject в коды включения и выключения
+ * @param {Object} style - Стиль {color, background, style}
+ * @returns {Object|null} {open, close} или null, если стиль не задает кодов
+ */
+function styleToTag(style) {
+  const { args, ends } = prepareObject(style);
+  if (!args.length) return null;
+
+  const close = [
+    ...(style.color ? ["39"] : []),
+    ...(style.background ? ["49"] : []),
+    ...ends,
+  ];
+  return { open: args.join(";"), close: close.join(";") };
+}
+
+/**
+ * Определяет тег по имени в фигурных скобках: стиль, индекс или цвет
+ * @param {string} name - Имя тега, например 'bold', 'up', 'red', 'bg_#00f'
+ * @returns {Object|null} {kind, open, close} или null
+ */
+function resolveBraceTag(name) {
+  // Числа вроде {0} - частые плейсхолдеры, а не цвета
+  if (!name.length || !isNaN(+name)) return null;
+  if (STYLES[name.toLowerCase()]) return resolveTag("style", name);
+  if (getIndexKey(name)) return resolveTag("index", name);
+  return resolveTag("color", name, true);
+}
+
+/**
+ * Ищет разделитель, не экранированный обратной косой чертой
+ * @param {string} text - Текст
+ * @param {string} separator - Разделитель
+ * @param {number} from - Начальная позиция
+ * @returns {number} Позиция или -1
+ */
+function findUnescaped(text, separator, from) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === "\\") i++;
+    else if (text.startsWith(separator, i)) return i;
+  }
+  return -1;
+}
+
+/**
+ * Разбирает разметку в дерево узлов
+ *
+ * Поддерживаются два диалекта, которые можно смешивать:
+ * - теги в фигурных скобках: {red}, {bold}, {bg_blue}, {#ff8800}, {up},
+ *   закрываются {/red} или {/}
+ * - пайп-синтаксис: |c.red.текст| действует до закрывающей черты,
+ *   |c.red| открывает тег, который закрывается |/c|, |/red| или |/|
+ *
+ * Как и прежде, цвет самостоятельной команды |c.red.текст| переходит
+ * в следующие за ней команды |s.…| и |i.…| того же уровня:
+ * '|c.red.Ошибка: ||s.bold.диск|' выводит 'диск' жирным красным.
+ *
+ * Обратная косая черта экранирует \{, \}, \\ и разделитель команд.
+ * Вне строгого режима неизвестные теги и незакрытые скобки остаются
+ * обычным текстом, а незакрытые теги закрываются в конце строки.
+ * @param {string} text - Текст с разметкой
+ * @param {Object} [options={}] - Опции
+ * @param {boolean} [options.strict=false] - Бросать ошибку на некорректной разметке
+ * @param {Object} [options.separators] - Разделители пайп-синтаксиса {command: '|', param: '.'}
+ * @returns {Array} Узлы {type: 'text', value} и {type: 'tag', name, kind, open, close, children}
  *
  * @example
- * // Синтаксис: |команда.параметр1.параметр2.текст|
- * parseString('|c.red.Красный текст|') // Цвет
- * parseString('-c/red/Красный текст-', {command: '-', param: '/'}) // Цвет
- * parseString('|s.bold.Жирный текст|') // Стиль
- * parseString('|i.up.Надстрочный текст|') // Индекс
- * parseString('|c.bg_red.Текст на красном фоне|') // Фон
- * parseString('|c.green+.Ярко-зеленый текст|') // Яркий цвет
+ * parseMarkup('{red}ошибка {bold}v1.2.3{/bold}{/red}')
+ * // [{type: 'tag', name: 'red', kind: 'color', open: '31', close: '39', children: [
+ * //   {type: 'text', value: 'ошибка '},
+ * //   {type: 'tag', name: 'bold', kind: 'style', open: '1', close: '22', children: [...]}
+ * // ]}]
  */
-function parseString(text, separators = { command: null, param: null }) {
-  let str = "";
-  let lastColor = null;
+export function parseMarkup(text, options = {}) {
+  const strict = Boolean(options.strict);
+  const command = options.separators?.command || "|";
+  const param = options.separators?.param || ".";
+  const source = `${text}`;
 
-  // Настройка разделителей
-  let commandSeparator = "|";
-  let paramSeparator = ".";
+  const root = { type: "root", children: [] };
+  const stack = [root];
+  let buffer = "";
+  let lastColor = null; // Цвет последней команды |c.…| для |s.…| и |i.…|
+  let i = 0;
 
-  if (separators && separators.command) commandSeparator = separators.command;
-  if (separators && separators.param) paramSeparator = separators.param;
+  const current = () => stack[stack.length - 1];
 
-  // Разбивка на команды
-  const dataArray = text.split(commandSeparator);
+  const flush = () => {
+    if (buffer) current().children.push({ type: "text", value: buffer });
+    buffer = "";
+  };
 
-  // Обработка каждой команды
-  dataArray
-    .filter((i) => i.length)
-    .forEach((i) => {
-      const params = i.split(paramSeparator);
-      const key = params[0].replace(commandSeparator, "").toLowerCase()[0];
-      const currentText = params.slice(2).join("");
-
-      // Обработка индексов (i)
-      if (key === "i") {
-        str += halving(
-          currentText,
-          params[1],
-          [lastColor].filter((i) => i !== null)
-        );
-      }
+  const open = (node, selfClosing) => {
+    flush();
+    current().children.push(node);
+    if (!selfClosing) stack.push(node);
+  };
+
+  // Закрывает ближайший подходящий тег; пустое имя - последний открытый
+  const close = (name, position, raw) => {
+    let index = stack.length - 1;
+    while (index > 0 && name && !stack[index].aliases.includes(name)) index--;
+
+    if (index > 0 && (!strict || index === stack.length - 1)) {
+      flush();
+      stack.length = index;
+      return;
+    }
+
+    if (strict) {
+      throw markupError(
+        stack.length > 1
+          ? `${raw} не соответствует открытому тегу ${
+              stack[stack.length - 1].raw
+            }`
+          : `${raw} без открывающего тега`,
+        position
+      );
+    }
+    buffer += raw;
+  };
+
+  while (i < source.length) {
+    const char = source[i];
 
-      // Обработка стилей (s)
-      if (key === "s") {
-        const style = STYLES[params[1]];
-        let on = "",
-          off = "";
-        if (style) {
-          on = `${prefix}${[style.on, lastColor]
-            .filter((i) => i !== null)
-            .join(";")}${postfix}`;
-          off = `${prefix}${[style.off, lastColor]
-            .filter((i) => i !== null)
-            .join(";")}${postfix}`;
+    // Экранирование специальных символов
+    if (
+      char === "\\" &&
+      ["\\", "{", "}", command].some((j) => source.startsWith(j, i + 1))
+    ) {
+      // Разделитель команд может быть длиннее одного символа
+      const escaped = source.startsWith(command, i + 1)
+        ? command
+        : source[i + 1];
+      buffer += escaped;
+      i += 1 + escaped.length;
+      continue;
+    }
+
+    // Теги в фигурных скобках
+    if (char === "{") {
+      const end = source.indexOf("}", i + 1);
+      const name = end === -1 ? null : source.slice(i + 1, end);
+
+      if (name !== null && !name.includes("{")) {
+        const raw = `{${name}}`;
+
+        if (name.startsWith("/")) {
+          close(name.slice(1).toLowerCase(), i, raw);
+          i = end + 1;
+          continue;
         }
-        str += on + currentText + off;
+
+        const tag = resolveBraceTag(name);
+        if (tag) {
+          open({
+            type: "tag",
+            name,
+            ...tag,
+            raw,
+            aliases: [name.toLowerCase()],
+            children: [],
+          });
+          i = end + 1;
+          continue;
+        }
+
+        if (strict) throw markupError(`неизвестный тег ${raw}`, i);
+      } else if (strict) {
+        throw markupError("незакрытая фигурная скобка", i);
       }
+    } else if (char === "}" && strict) {
+      throw markupError("лишняя закрывающая скобка", i);
+    }
+
+    // Пайп-синтаксис
+    if (source.startsWith(command, i)) {
+      const start = i + command.length;
+      const end = findUnescaped(source, command, start);
+
+      if (end !== -1) {
+        const segment = source.slice(start, end);
+        const raw = `${command}${segment}${command}`;
+
+        if (segment.startsWith("/")) {
+          close(segment.slice(1).toLowerCase(), i, raw);
+          i = end + command.length;
+          continue;
+        }
+
+        const first = segment.indexOf(param);
+        const second = first === -1 ? -1 : segment.indexOf(param, first + 1);
+        const key = segment.slice(0, first).toLowerCase();
+        const kind = first > 0 ? PIPE_COMMANDS[key[0]] : null;
+        const value = segment.slice(
+          first + param.length,
+          second === -1 ? segment.length : second
+        );
+        const tag = kind && value ? resolveTag(kind, value) : null;
+
+        if (tag) {
+          const node = {
+            type: "tag",
+            name: value,
+            ...tag,
+            raw: `${command}${segment.slice(
+              0,
+              second === -1 ? segment.length : second
+            )}${command}`,
+            aliases: [key, key[0], value.toLowerCase()],
+            children: [],
+          };
+
+          // |c.red.текст| - тег с содержимым, |c.red| - открывающий тег
+          if (second !== -1) {
+            node.children = parseMarkup(
+              segment.slice(second + param.length),
+              options
+            );
 
-      // Обработка цветов (c)
-      if (key === "c") {
-        const isBackground = params[1].toLowerCase().startsWith("bg_");
-        const isNeedContrast = params[1].toLowerCase().endsWith("+");
-        const cleanedCode = params[1].toLowerCase().replace(/(bg_|\+)/gi, "");
+            if (kind === "color") lastColor = tag;
+            else if (lastColor) {
+              node.open = `${node.open};${lastColor.open}`;
+              node.close = `${node.close};${lastColor.close}`;
+            }
+          }
 
-        const { textCode, options } = getColorFromText(cleanedCode);
-        options.contrast = isNeedContrast;
-        options.bg = isBackground;
+          open(node, second !== -1);
+          i = end + command.length;
+          continue;
+        }
 
-        const color = getColor(textCode, options);
-        str += color;
-        lastColor = color.replace(prefix, "").replace(/m$/, "");
-        str += currentText;
+        if (strict) throw markupError(`некорректная команда ${raw}`, i);
+      } else if (strict) {
+        throw markupError(`незавершенная команда ${command}`, i);
       }
-    });
 
-  str += reset;
-  return str;
+      buffer += command;
+      i += command.length;
+      continue;
+    }
+
+    buffer += char;
+    i++;
+  }
+
+  if (strict && stack.length > 1) {
+    const node = stack[stack.length - 1];
+    throw markupError(`незакрытый тег ${node.raw}`, source.length);
+  }
+
+  flush();
+  return root.children;
+}
+
+/**
+ * Превращает дерево разметки в текст с ANSI кодами
+ * При закрытии тега выключаются только его атрибуты, а внешние теги с теми же
+ * атрибутами (цвет, фон, жирность...) включаются заново
+ * @param {Array} nodes - Узлы parseMarkup
+ * @param {Array} [stack=[]] - Открытые внешние теги
+ * @returns {string} Текст с ANSI кодами
+ */
+function renderMarkupNodes(nodes, stack = []) {
+  return nodes
+    .map((node) => {
+      if (node.type === "text") return node.value;
+
+      const inner = renderMarkupNodes(node.children, [...stack, node]);
+      const closed = `${node.close}`.split(";");
+      const restore = stack
+        .filter((i) => `${i.close}`.split(";").some((c) => closed.includes(c)))
+        .map((i) => i.open);
+
+      return `${prefix}${node.open}${postfix}${inner}${prefix}${[
+        node.close,
+        ...restore,
+      ].join(";")}${postfix}`;
+    })
+    .join("");
+}
+
+/**
+ * Проверяет, содержит ли текст разметку: разделитель команд, известный тег
+ * {имя}, закрывающий тег {/имя} или {/}, либо экранированную скобку
+ * Прочие фигурные скобки и обратные косые черты (JSON, пути Windows)
+ * разметкой не считаются
+ * @param {string} text - Текст
+ * @param {string} [command='|'] - Разделитель команд
+ * @returns {boolean} true, если текст стоит разбирать
+ */
+function hasMarkup(text, command = "|") {
+  if (text.includes(command) || /\\[{}]/.test(text)) return true;
+
+  const pattern = /\{(\/?)([^{}]*)\}/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const [, closing, name] = match;
+    if ((closing && !name) || resolveBraceTag(name)) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Разбирает разметку и возвращает текст с ANSI кодами
+ * Текст без разметки (см. hasMarkup) возвращается без изменений,
+ * в строгом режиме разбирается любой текст
+ * @param {string} text - Текст с разметкой
+ * @param {Object} [options={}] - Опции parseMarkup {strict, separators}
+ * @returns {string} Отформатированный текст
+ *
+ * @example
+ * renderMarkup('{red}ошибка {bold}v1.2.3{/bold} в модуле{/red}')
+ * renderMarkup('|c.red.v1.2.3| и |s.bold.жирный|')
+ * renderMarkup('|c.red|красный |s.bold.жирный| снова красный|/c|')
+ * renderMarkup('\\{red\\} не тег')
+ * renderMarkup('{red}без закрытия', { strict: true }) // Error
+ */
+export function renderMarkup(text, options = {}) {
+  const source = `${text}`;
+  const command = options.separators?.command || "|";
+  if (!options.strict && !hasMarkup(source, command)) return source;
+  return renderMarkupNodes(parseMarkup(source, options));
 }
 
 // =============================================================================
@@ -422,9 +1267,10 @@ function parseString(text, separators = { command: null, param: null }) {
 /**
  * Подготавливает объект с настройками стилей для форматирования
  * @param {Object} data - Объект с настройками стилей
- * @param {string|Object} [data.color] - Цвет текста
+ * @param {string|Object} [data.color] - Цвет текста или семантическое имя темы
  * @param {string|Object} [data.background] - Цвет фона
  * @param {string|Array} [data.style] - Стиль текста
+ * @param {Array|string|Object} [data.gradient] - Градиент (применяется applyStyle и prepareCustomLog)
  * @returns {Object} Объект с ANSI кодами {args, ends}
  *
  * @example
@@ -432,6 +1278,8 @@ function parseString(text, separators = { command: null, param: null }) {
  * prepareObject({background: 'white', style: ['italic', 'underline']})
  */
 function prepareObject(data) {
+  data = expandThemeStyle(data);
+
   /**
    * Вспомогательная функция для извлечения цветового кода
    * @param {string|Array|Object} colorData - Данные цвета
@@ -507,7 +1355,8 @@ function prepareObject(data) {
  * @param {Object} [options.all] - Глобальные стили для всего текста
  * @param {Array|Object} [options.currents] - Стили для конкретных подстрок
  * @param {Array|Object} [options.notes] - Модификация отдельных символов
- * @param {Object} [options.separators] - Кастомные разделители для parseString
+ * @param {Object} [options.separators] - Кастомные разделители разметки (см. parseMarkup)
+ * @param {boolean} [options.strict] - Строгий режим разбора разметки
  * @returns {string} Отформатированный текст с ANSI кодами
  *
  * @example
@@ -522,6 +1371,11 @@ function prepareObject(data) {
  *   ]
  * })
  *
+ * // Градиент для всего текста или подстроки
+ * prepareCustomLog('Сборка завершена', {
+ *   currents: [{target: 'завершена', gradient: ['#00ff00', '#00aaff']}]
+ * })
+ *
  * // Модификация символов (индексы)
  * prepareCustomLog('H2O', {
  *   notes: [
@@ -547,26 +1401,32 @@ function prepareCustomLog(text = "", options = null) {
   const changedTargets = []; // Список измененных подстрок
   const targetChanges = []; // Стили примененные к подстрокам
 
-  // Если текст содержит команды форматирования - используем parseString
-  if (
-    (options?.separators &&
-      options?.separators?.command &&
-      text.includes(options?.separators?.command)) ||
-    text.includes("|")
-  ) {
-    return parseString(text, options?.separators);
-  }
-
   // Применение глобальных стилей ко всему тексту
   if (options?.all) {
     const { args } = prepareObject(options.all);
     globalArgs = args;
-    global += `${prefix}${args.join(";")}${postfix}`;
-    str += global;
+    // Только градиент: глобальных кодов нет
+    if (args.length || !options.all.gradient) {
+      global += `${prefix}${args.join(";")}${postfix}`;
+      str += global;
+    }
   }
 
   let textContent = text;
 
+  // Разметка разбирается первой; закрытие ее тегов восстанавливает стили all,
+  // а currents и notes применяются поверх
+  if (options?.strict || hasMarkup(text, options?.separators?.command || "|")) {
+    const base = options?.all ? styleToTag(options.all) : null;
+    textContent = renderMarkupNodes(
+      parseMarkup(text, {
+        separators: options?.separators,
+        strict: options?.strict,
+      }),
+      base ? [base] : []
+    );
+  }
+
   // Обработка стилей для конкретных подстрок (currents)
   if (options?.currents) {
     const currents = Array.isArray(options.currents)
@@ -586,10 +1446,17 @@ function prepareCustomLog(text = "", options = null) {
             ? `${reset}${global}`
             : `${prefix}${ends.join(";")}${postfix}${global}`;
 
+        const codes = [...globalArgs, ...args];
+        const value = current.gradient
+          ? applyGradient(target, current.gradient)
+          : target;
+
         // Замена подстроки на форматированную версию
         textContent = textContent.replaceAll(
           target,
-          `${prefix}${[args, ...globalArgs].join(";")}${postfix}${target}${end}`
+          `${
+            codes.length ? `${prefix}${codes.join(";")}${postfix}` : ""
+          }${value}${end}`
         );
 
         // Сохранение информации об измененных подстроках
@@ -631,306 +1498,5317 @@ function prepareCustomLog(text = "", options = null) {
     });
   }
 
-  // Сборка итогового текста
-  str += textContent;
+  // Сборка итогового текста; градиент не перекрашивает подстроки с цветом
+  str += options?.all?.gradient
+    ? applyGradient(textContent, options.all.gradient)
+    : textContent;
   str += reset;
   return str;
 }
 
 // =============================================================================
-// СИСТЕМА ПОДАВЛЕНИЯ ПОВТОРЯЮЩИХСЯ ЛОГОВ
+// ПОДДЕРЖКА ЦВЕТОВ ТЕРМИНАЛА
 // =============================================================================
 
-// Хранилище последних логов
-let lastLogs = {
-  debug: { text: null, timestamp: 0 },
-  info: { text: null, timestamp: 0 },
-  warn: { text: null, timestamp: 0 },
-  error: { text: null, timestamp: 0 },
-  print: { text: null, timestamp: 0 },
-  custom: { text: null, timestamp: 0 },
-};
-
-// Конфигурация подавления
-const suppressionConfig = {
-  enabled: false,
-  timeout: 1000, // Время в ms, в течение которого логи считаются повторными
-  showCounter: true, // Показывать счетчик повторений
-};
-
 /**
- * Включает/выключает подавление повторяющихся логов
+ * Уровни цветовой поддержки терминала
+ * @constant {Object}
+ * @property {number} none - Без цвета, escape-последовательности удаляются (0)
+ * @property {number} basic - 16 базовых цветов (1)
+ * @property {number} ansi256 - Палитра из 256 цветов (2)
+ * @property {number} truecolor - 24-битный цвет (3)
+ */
+export const COLOR_LEVELS = { none: 0, basic: 1, ansi256: 2, truecolor: 3 };
+
+/**
+ * Палитра 16 базовых цветов (xterm) для поиска ближайшего цвета
+ * @constant {Array}
+ */
+const BASIC_PALETTE = [
+  [0, 0, 0],
+  [205, 0, 0],
+  [0, 205, 0],
+  [205, 205, 0],
+  [0, 0, 238],
+  [205, 0, 205],
+  [0, 205, 205],
+  [229, 229, 229],
+  [127, 127, 127],
+  [255, 0, 0],
+  [0, 255, 0],
+  [255, 255, 0],
+  [92, 92, 255],
+  [255, 0, 255],
+  [0, 255, 255],
+  [255, 255, 255],
+];
+
+/**
+ * Приводит значение уровня цвета к числу 0-3
+ * @param {string|number|boolean} level - 'auto', 'none', 'basic', '16', 'ansi256', '256', 'truecolor', 0-3, true/false
+ * @returns {number|null} Уровень или null для 'auto' (определение по потоку)
+ * @throws {Error} Если значение не распознано
+ */
+function resolveColorLevel(level) {
+  if (level === false) return COLOR_LEVELS.none;
+  if (level === true) return COLOR_LEVELS.basic;
+  if (level === null || level === undefined) return null;
+  if (typeof level === "number" && !isNaN(level)) {
+    return Math.max(0, Math.min(3, level));
+  }
+
+  const key = `${level}`.trim().toLowerCase();
+  const aliases = { 16: 1, 256: 2, "24bit": 3 };
+  if (key === "auto") return null;
+  if (COLOR_LEVELS.hasOwnProperty(key)) return COLOR_LEVELS[key];
+  if (aliases.hasOwnProperty(key)) return aliases[key];
+
+  throw new Error(`Неизвестный уровень цвета: ${level}`);
+}
+
+/**
+ * Определяет уровень цветовой поддержки для потока вывода
+ * Учитывает NO_COLOR, FORCE_COLOR, TTY, TERM и COLORTERM
+ * @param {Object} [stream=process.stdout] - Поток вывода
+ * @returns {number} Уровень из COLOR_LEVELS
+ *
+ * @example
+ * detectColorLevel() // 3 в современном терминале, 0 при выводе в pipe
+ * detectColorLevel(process.stderr)
+ */
+export function detectColorLevel(stream = globalThis.process?.stdout) {
+  const proc = globalThis.process;
+  if (!proc) return COLOR_LEVELS.none;
+
+  const env = proc.env || {};
+
+  // FORCE_COLOR имеет приоритет над NO_COLOR, как и в самом Node.js
+  let forced = null;
+  if (env.FORCE_COLOR !== undefined) {
+    forced =
+      env.FORCE_COLOR === "" || env.FORCE_COLOR === "true"
+        ? COLOR_LEVELS.basic
+        : env.FORCE_COLOR === "false"
+        ? COLOR_LEVELS.none
+        : resolveColorLevel(parseInt(env.FORCE_COLOR, 10) || 0);
+
+    if (forced === COLOR_LEVELS.none) return forced;
+  }
+
+  // https://no-color.org: любое непустое значение отключает цвет
+  if (!forced && env.NO_COLOR) return COLOR_LEVELS.none;
+
+  if (!forced && !stream?.isTTY) return COLOR_LEVELS.none;
+
+  const min = forced || COLOR_LEVELS.none;
+  const term = (env.TERM || "").toLowerCase();
+  const colorTerm = (env.COLORTERM || "").toLowerCase();
+
+  if (term === "dumb") return min;
+  if (colorTerm === "truecolor" || colorTerm === "24bit") {
+    return COLOR_LEVELS.truecolor;
+  }
+  if (proc.platform === "win32") return COLOR_LEVELS.truecolor;
+  if (/-256(color)?$/.test(term)) return Math.max(min, COLOR_LEVELS.ansi256);
+
+  return Math.max(min, COLOR_LEVELS.basic);
+}
+
+/**
+ * Переводит индекс палитры 256 цветов в RGB
+ * @param {number} code - Индекс 0-255
+ * @returns {Array} Массив [R, G, B]
+ */
+function ansi256ToRgb(code) {
+  if (code < 16) return BASIC_PALETTE[code];
+
+  // Оттенки серого 232-255
+  if (code >= 232) {
+    const gray = (code - 232) * 10 + 8;
+    return [gray, gray, gray];
+  }
+
+  // Цветовой куб 6x6x6
+  const cube = code - 16;
+  const levels = [0, 95, 135, 175, 215, 255];
+  return [
+    levels[Math.floor(cube / 36)],
+    levels[Math.floor(cube / 6) % 6],
+    levels[cube % 6],
+  ];
+}
+
+/**
+ * Квадрат расстояния между двумя RGB цветами
+ * @param {Array} a - Цвет [R, G, B]
+ * @param {Array} b - Цвет [R, G, B]
+ * @returns {number} Расстояние
+ */
+function colorDistance(a, b) {
+  return (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2 + (a[2] - b[2]) ** 2;
+}
+
+/**
+ * Находит ближайший цвет палитры 256 цветов
+ * @param {Array} rgb - Цвет [R, G, B]
+ * @returns {number} Индекс 16-255
+ *
+ * @example
+ * rgbToAnsi256([255, 0, 0]) // returns 196
+ */
+export function rgbToAnsi256([r, g, b]) {
+  const toCube = (value) =>
+    value < 48 ? 0 : value < 115 ? 1 : Math.floor((value - 35) / 40);
+  const cube = 16 + 36 * toCube(r) + 6 * toCube(g) + toCube(b);
+
+  const average = (r + g + b) / 3;
+  const gray =
+    average < 8
+      ? 16
+      : average > 238
+      ? 231
+      : 232 + Math.round((average - 8) / 10);
+
+  return colorDistance([r, g, b], ansi256ToRgb(gray)) <
+    colorDistance([r, g, b], ansi256ToRgb(cube))
+    ? gray
+    : cube;
+}
+
+/**
+ * Находит ближайший из 16 базовых цветов
+ * @param {Array} rgb - Цвет [R, G, B]
+ * @returns {number} Индекс 0-15 (8-15 - яркие цвета)
+ *
+ * @example
+ * rgbToAnsi16([250, 10, 10]) // returns 9 (ярко-красный)
+ */
+export function rgbToAnsi16(rgb) {
+  let best = 0;
+  BASIC_PALETTE.forEach((color, index) => {
+    if (colorDistance(rgb, color) < colorDistance(rgb, BASIC_PALETTE[best])) {
+      best = index;
+    }
+  });
+  return best;
+}
+
+/**
+ * Переводит параметры одной SGR последовательности на нужный уровень цвета
+ * @param {Array} codes - Числовые параметры последовательности
+ * @param {number} level - Уровень из COLOR_LEVELS
+ * @returns {Array} Новые параметры
+ */
+function downsampleCodes(codes, level) {
+  const result = [];
+
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+
+    if ((code !== 38 && code !== 48) || codes[i + 1] === undefined) {
+      result.push(code);
+      continue;
+    }
+
+    const isBackground = code === 48;
+    let rgb = null;
+    let index = null;
+
+    if (codes[i + 1] === 5) {
+      index = codes[i + 2] || 0;
+      i += 2;
+    } else if (codes[i + 1] === 2) {
+      rgb = [codes[i + 2] || 0, codes[i + 3] || 0, codes[i + 4] || 0];
+      i += 4;
+    } else {
+      result.push(code);
+      continue;
+    }
+
+    if (
+      level >= COLOR_LEVELS.truecolor ||
+      (rgb === null && level === COLOR_LEVELS.ansi256)
+    ) {
+      result.push(...(rgb ? [code, 2, ...rgb] : [code, 5, index]));
+    } else if (level === COLOR_LEVELS.ansi256) {
+      result.push(code, 5, rgbToAnsi256(rgb));
+    } else {
+      const basic =
+        index !== null && index < 16
+          ? index
+          : rgbToAnsi16(rgb || ansi256ToRgb(index));
+      const base = basic < 8 ? 30 + basic : 90 + basic - 8;
+      result.push(base + (isBackground ? 10 : 0));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Адаптирует готовую строку с ANSI кодами к уровню поддержки терминала:
+ * 24-битные и 256-цветные коды заменяются ближайшими доступными,
+ * при уровне none все escape-последовательности удаляются
+ * @param {string} text - Текст с ANSI кодами
+ * @param {number} level - Уровень из COLOR_LEVELS
+ * @returns {string} Адаптированный текст
+ *
+ * @example
+ * downsampleAnsi('\x1b[38;2;255;0;0mText\x1b[0m', COLOR_LEVELS.ansi256) // '\x1b[38;5;196mText\x1b[0m'
+ * downsampleAnsi('\x1b[31mText\x1b[0m', COLOR_LEVELS.none) // 'Text'
+ */
+export function downsampleAnsi(text, level) {
+  if (typeof text !== "string" || level >= COLOR_LEVELS.truecolor) return text;
+
+  return text.replace(/\x1b\[([\d;]*)m/g, (sequence, params) => {
+    if (level <= COLOR_LEVELS.none) return "";
+
+    const codes = params.split(";").map((i) => parseInt(i, 10) || 0);
+    return `${prefix}${downsampleCodes(codes, level).join(";")}${postfix}`;
+  });
+}
+
+// =============================================================================
+// ФУНКЦИИ ДЛЯ СТРОК С ANSI КОДАМИ
+// =============================================================================
+
+/**
+ * Шаблон escape-последовательностей CSI (цвета, стили, индексы, курсор)
+ * @constant {RegExp}
+ */
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g;
+
+/**
+ * Диапазоны символов двойной ширины (CJK, полноширинные формы)
+ * @constant {Array}
+ */
+const WIDE_RANGES = [
+  [0x1100, 0x115f],
+  [0x2329, 0x232a],
+  [0x2e80, 0x303e],
+  [0x3041, 0x33ff],
+  [0x3400, 0x4dbf],
+  [0x4e00, 0x9fff],
+  [0xa000, 0xa4cf],
+  [0xa960, 0xa97f],
+  [0xac00, 0xd7a3],
+  [0xf900, 0xfaff],
+  [0xfe10, 0xfe19],
+  [0xfe30, 0xfe6f],
+  [0xff00, 0xff60],
+  [0xffe0, 0xffe6],
+  [0x1b000, 0x1b001],
+  [0x1f200, 0x1f251],
+  [0x20000, 0x3fffd],
+];
+
+/**
+ * Символы нулевой ширины: управляющие, комбинируемые, соединители
+ * @constant {RegExp}
+ */
+const ZERO_WIDTH_PATTERN =
+  /^[\p{Mn}\p{Me}\p{Cc}\u200b-\u200f\u2060\ufe00-\ufe0f]$/u;
+
+/**
+ * Эмодзи и региональные индикаторы (флаги) занимают две колонки
+ * @constant {RegExp}
+ */
+const EMOJI_PATTERN = /\p{Extended_Pictographic}|[\u{1f1e6}-\u{1f1ff}]/u;
+
+/**
+ * Разбивка на графемы, если среда поддерживает Intl.Segmenter
+ * @type {Object|null}
+ */
+const graphemeSegmenter =
+  typeof Intl !== "undefined" && Intl.Segmenter
+    ? new Intl.Segmenter(undefined, { granularity: "grapheme" })
+    : null;
+
+/**
+ * Разбивает текст без ANSI кодов на графемы
+ * Без Intl.Segmenter комбинируемые символы присоединяются к предыдущему
+ * @param {string} text - Текст
+ * @returns {Array} Массив графем
+ */
+function splitGraphemes(text) {
+  if (graphemeSegmenter) {
+    return Array.from(graphemeSegmenter.segment(text), (i) => i.segment);
+  }
+
+  const result = [];
+  Array.from(text).forEach((symbol) => {
+    if (result.length && ZERO_WIDTH_PATTERN.test(symbol)) {
+      result[result.length - 1] += symbol;
+    } else {
+      result.push(symbol);
+    }
+  });
+  return result;
+}
+
+/**
+ * Ширина одной графемы в колонках терминала
+ * @param {string} grapheme - Графема
+ * @returns {number} 0, 1 или 2
+ */
+function graphemeWidth(grapheme) {
+  if (EMOJI_PATTERN.test(grapheme)) return 2;
+
+  const symbols = Array.from(grapheme);
+  const base = symbols.find((i) => !ZERO_WIDTH_PATTERN.test(i));
+  if (!base) return 0;
+
+  const code = base.codePointAt(0);
+  return WIDE_RANGES.some(([from, to]) => code >= from && code <= to) ? 2 : 1;
+}
+
+/**
+ * Разбивает строку на ANSI последовательности и видимые графемы
+ * @param {string} text - Текст с ANSI кодами
+ * @returns {Array} Токены {ansi: true, value} или {ansi: false, value, width}
+ */
+function tokenizeAnsi(text) {
+  const tokens = [];
+  const pattern = new RegExp(ANSI_PATTERN.source, "g");
+  let last = 0;
+  let match;
+
+  const pushText = (part) => {
+    splitGraphemes(part).forEach((value) => {
+      tokens.push({ ansi: false, value, width: graphemeWidth(value) });
+    });
+  };
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index > last) pushText(text.slice(last, match.index));
+    tokens.push({ ansi: true, value: match[0] });
+    last = pattern.lastIndex;
+  }
+  if (last < text.length) pushText(text.slice(last));
+
+  return tokens;
+}
+
+/**
+ * Проверяет, сбрасывает ли SGR последовательность все стили
+ * @param {string} sequence - Escape-последовательность
+ * @returns {boolean} true для \x1b[0m и \x1b[m
+ */
+function isResetSequence(sequence) {
+  return sequence === reset || sequence === `${prefix}${postfix}`;
+}
+
+/**
+ * Удаляет все ANSI escape-последовательности из строки
+ * @param {string} text - Текст с ANSI кодами
+ * @returns {string} Чистый текст
+ *
+ * @example
+ * stripAnsi(colorizeByText('Ошибка', 'red')) // 'Ошибка'
+ */
+export function stripAnsi(text) {
+  return `${text}`.replace(ANSI_PATTERN, "");
+}
+
+/**
+ * Видимая ширина строки в колонках терминала
+ * Учитывает ANSI коды, символы CJK и эмодзи (2 колонки), комбинируемые символы (0)
+ * @param {string} text - Текст с ANSI кодами
+ * @returns {number} Ширина в колонках
+ *
+ * @example
+ * visibleWidth('\x1b[31mКрасный\x1b[0m') // 7
+ * visibleWidth('日本') // 4
+ */
+export function visibleWidth(text) {
+  return splitGraphemes(stripAnsi(text)).reduce(
+    (sum, grapheme) => sum + graphemeWidth(grapheme),
+    0
+  );
+}
+
+/**
+ * Вырезает часть строки по видимым колонкам, сохраняя стили
+ * Стили, открытые до начала среза, повторяются в его начале,
+ * а открытые внутри среза закрываются сбросом в конце
+ * @param {string} text - Текст с ANSI кодами
+ * @param {number} [start=0] - Начальная колонка
+ * @param {number} [end=Infinity] - Конечная колонка (не включается)
+ * @returns {string} Срез с корректными ANSI кодами
+ *
+ * @example
+ * sliceAnsi('\x1b[31mКрасный\x1b[0m', 2, 5) // '\x1b[31mасн\x1b[0m'
+ */
+export function sliceAnsi(text, start = 0, end = Infinity) {
+  let active = []; // SGR последовательности, действующие в текущей позиции
+  let column = 0;
+  let result = "";
+  let opened = false;
+
+  for (const token of tokenizeAnsi(`${text}`)) {
+    if (token.ansi) {
+      if (isResetSequence(token.value)) active = [];
+      else active.push(token.value);
+
+      // Внутри среза последовательности переносятся как есть
+      if (opened) result += token.value;
+      continue;
+    }
+
+    const from = column;
+    column += token.width;
+
+    if (column > end) break;
+    if (from < start) continue;
+
+    // Первый видимый символ среза: восстанавливаем действующие стили
+    if (!opened) {
+      result += active.join("");
+      opened = true;
+    }
+    result += token.value;
+  }
+
+  if (opened && active.length) result += reset;
+  return result;
+}
+
+/**
+ * Обрезает строку до заданной видимой ширины
+ * @param {string} text - Текст с ANSI кодами
+ * @param {number} width - Максимальная ширина в колонках
+ * @param {Object} [options={}] - Опции
+ * @param {string} [options.ellipsis='…'] - Символ(ы) обрезки
+ * @returns {string} Исходная строка, если она короче, иначе обрезанная
+ *
+ * @example
+ * truncate('\x1b[32mОчень длинный текст\x1b[0m', 10) // '\x1b[32mОчень дли\x1b[0m…'
+ */
+export function truncate(text, width, options = {}) {
+  const ellipsis = options.ellipsis ?? "…";
+
+  if (visibleWidth(text) <= width) return text;
+
+  const room = Math.max(0, width - visibleWidth(ellipsis));
+  return sliceAnsi(text, 0, room) + ellipsis;
+}
+
+// =============================================================================
+// ГРАДИЕНТЫ
+// =============================================================================
+
+/**
+ * Готовые градиенты
+ * @constant {Object}
+ */
+const GRADIENT_PRESETS = {
+  rainbow: {
+    colors: ["#ff0000", "#ff8000", "#ffff00", "#00ff00", "#0080ff", "#8000ff"],
+    space: "hsl",
+  },
+};
+
+/**
+ * Конвертирует RGB в HSL
+ * @param {Array} rgb - Массив [R, G, B]
+ * @returns {Array} Массив [H (градусы), S (0-100), L (0-100)]
+ */
+function rgbToHsl([r, g, b]) {
+  const [red, green, blue] = [r / 255, g / 255, b / 255];
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const light = (max + min) / 2;
+
+  if (max === min) return [0, 0, light * 100];
+
+  const delta = max - min;
+  const sat = light > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+  const hue =
+    max === red
+      ? (green - blue) / delta + (green < blue ? 6 : 0)
+      : max === green
+      ? (blue - red) / delta + 2
+      : (red - green) / delta + 4;
+
+  return [hue * 60, sat * 100, light * 100];
+}
+
+/**
+ * Переводит любой поддерживаемый цвет в RGB для интерполяции
+ * @param {string|Array} code - Цвет (имя, HEX, rgb(), hsl(), имя темы...) или [R, G, B]
+ * @returns {Array|null} Массив [R, G, B] или null
+ *
+ * @example
+ * colorToRgb('red') // returns [205, 0, 0] (цвет палитры терминала)
+ * colorToRgb('orange') // returns [255, 165, 0]
+ */
+function colorToRgb(code) {
+  if (Array.isArray(code)) return parseRGB(code);
+
+  const themed = getThemeStyle(code);
+  if (themed) return themed.color ? colorToRgb(themed.color) : null;
+
+  const isNeedContrast = `${code}`.endsWith("+");
+  const { textCode, options } = getColorFromText(`${code}`.replace(/\+$/, ""));
+
+  if (options.rgb) {
+    if (options.rgb.length === 1) return ansi256ToRgb(options.rgb[0]);
+    return [...options.rgb, 0, 0].slice(0, 3);
+  }
+
+  // Базовые имена берутся из палитры терминала
+  const sgr = +getColor(textCode, { contrast: isNeedContrast })
+    .replace(prefix, "")
+    .replace(/m$/, "");
+  if (sgr >= 30 && sgr <= 37) return BASIC_PALETTE[sgr - 30];
+  if (sgr >= 90 && sgr <= 97) return BASIC_PALETTE[sgr - 90 + 8];
+  return null;
+}
+
+/**
+ * Цвет градиента в точке t
+ * @param {Array} stops - Опорные цвета [R, G, B]
+ * @param {number} t - Положение от 0 до 1
+ * @param {string} space - Пространство интерполяции: 'rgb' или 'hsl'
+ * @returns {Array} Массив [R, G, B]
+ */
+function interpolateColor(stops, t, space) {
+  const position = Math.min(1, Math.max(0, t)) * (stops.length - 1);
+  const index = Math.min(stops.length - 2, Math.floor(position));
+  const local = position - index;
+  const [from, to] = [stops[index], stops[index + 1]];
+  const mix = (a, b) => a + (b - a) * local;
+
+  if (space === "hsl") {
+    const [h1, s1, l1] = rgbToHsl(from);
+    const [h2, s2, l2] = rgbToHsl(to);
+
+    // Тон меняется по кратчайшей дуге
+    let delta = h2 - h1;
+    if (delta > 180) delta -= 360;
+    if (delta < -180) delta += 360;
+
+    return hslToRgb(h1 + delta * local, mix(s1, s2), mix(l1, l2));
+  }
+
+  return from.map((value, i) => Math.round(mix(value, to[i])));
+}
+
+/**
+ * Проверяет, задает ли SGR последовательность цвет текста или фона
+ * @param {string} sequence - ANSI последовательность
+ * @param {boolean} background - true - проверять фон
+ * @returns {boolean|null} true - цвет задан, false - сброшен, null - не затронут
+ */
+function getSgrColorState(sequence, background) {
+  if (!sequence.endsWith(postfix)) return null;
+  if (isResetSequence(sequence)) return false;
+
+  const codes = sequence.slice(prefix.length, -1).split(";").map(Number);
+  const [base, bright, extended, off] = background
+    ? [40, 100, 48, 49]
+    : [30, 90, 38, 39];
+  let state = null;
+
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+    if (code === 0 || code === off) state = false;
+    else if (
+      (code >= base && code <= base + 7) ||
+      (code >= bright && code <= bright + 7)
+    ) {
+      state = true;
+    } else if (code === extended) state = true;
+
+    // Пропуск параметров 38;5;n и 38;2;r;g;b
+    if (code === 38 || code === 48) i += codes[i + 1] === 5 ? 2 : 4;
+  }
+
+  return state;
+}
+
+/**
+ * Окрашивает текст градиентом: цвет интерполируется по видимым символам
+ * Части текста с собственным цветом не перекрашиваются, но учитываются в длине.
+ * Используются truecolor коды, транспорты понижают их до 256 или 16 цветов
+ * @param {string} text - Текст (может содержать ANSI коды и переводы строк)
+ * @param {Array|string} colors - Опорные цвета (минимум один) или имя готового градиента ('rainbow')
+ * @param {Object} [options={}] - Опции
+ * @param {string} [options.space='rgb'] - Пространство интерполяции: 'rgb' или 'hsl'
+ * @param {boolean} [options.perLine=false] - Градиент заново для каждой строки
+ * @param {boolean} [options.background=false] - Градиент фона вместо текста
+ * @returns {string} Текст с ANSI кодами
+ *
+ * @example
+ * gradient('Сборка завершена', ['#ff0000', '#0000ff'])
+ * gradient('Радуга', 'rainbow')
+ * gradient(banner, ['cyan', 'magenta', 'yellow'], { space: 'hsl', perLine: true })
+ */
+export function gradient(text, colors, options = {}) {
+  const preset = typeof colors === "string" ? GRADIENT_PRESETS[colors] : null;
+  if (typeof colors === "string" && !preset) {
+    throw new Error(`Неизвестный градиент: ${colors}`);
+  }
+
+  const stops = (preset ? preset.colors : [colors].flat())
+    .map((i) => colorToRgb(i))
+    .filter((i) => i);
+  const space = options.space ?? preset?.space ?? "rgb";
+  const background = Boolean(options.background);
+
+  if (!stops.length) return `${text}`;
+  if (stops.length === 1) stops.push(stops[0]);
+
+  const tokens = tokenizeAnsi(`${text}`);
+  const isNewline = (token) => !token.ansi && /^\r?\n$/.test(token.value);
+
+  // Число видимых символов в каждой группе (строке или во всем тексте)
+  const totals = [0];
+  tokens.forEach((token) => {
+    if (isNewline(token) && options.perLine) totals.push(0);
+    else if (!token.ansi && !isNewline(token)) totals[totals.length - 1]++;
+  });
+
+  let result = "";
+  let group = 0;
+  let position = 0;
+  let foreign = false;
+  let last = null;
+
+  tokens.forEach((token) => {
+    if (token.ansi) {
+      const state = getSgrColorState(token.value, background);
+      if (state !== null) foreign = state;
+      last = null;
+      result += token.value;
+      return;
+    }
+
+    if (isNewline(token)) {
+      if (options.perLine) {
+        group++;
+        position = 0;
+      }
+      result += token.value;
+      return;
+    }
+
+    const total = totals[group];
+    const t = total > 1 ? position / (total - 1) : 0;
+    position++;
+
+    // Пробелы и участки с собственным цветом не окрашиваются
+    if (foreign || (!background && !token.value.trim())) {
+      result += token.value;
+      return;
+    }
+
+    const rgb = interpolateColor(stops, t, space);
+    const code = `${prefix}${background ? 48 : 38};2;${rgb.join(
+      ";"
+    )}${postfix}`;
+    if (code !== last) result += code;
+    last = code;
+    result += token.value;
+  });
+
+  return result + `${prefix}${background ? 49 : 39}${postfix}`;
+}
+
+/**
+ * Применяет градиент, заданный в стиле: массив цветов, имя готового
+ * градиента или объект {colors, space, perLine, background}
+ * @param {string} text - Текст
+ * @param {Array|string|Object} spec - Описание градиента
+ * @returns {string} Текст с ANSI кодами
+ *
+ * @example
+ * applyGradient('Текст', { colors: ['red', 'blue'], space: 'hsl' })
+ */
+function applyGradient(text, spec) {
+  return isPlainObject(spec)
+    ? gradient(text, spec.colors, spec)
+    : gradient(text, spec);
+}
+
+// =============================================================================
+// ПРЕОБРАЗОВАНИЕ ANSI В HTML И CSS КОНСОЛИ БРАУЗЕРА
+// =============================================================================
+
+/**
+ * Палитры для HTML: цвета текста и фона по умолчанию и 16 базовых цветов
+ * (индексы 0-7 - коды 30-37, 8-15 - яркие коды 90-97)
+ * @constant {Object}
+ */
+const HTML_THEMES = {
+  dark: {
+    foreground: "#e5e5e5",
+    background: "#1e1e1e",
+    palette: BASIC_PALETTE.map((rgb) => rgbToHex(rgb)),
+  },
+  light: {
+    foreground: "#1e1e1e",
+    background: "#ffffff",
+    palette: [
+      "#000000",
+      "#b21818",
+      "#18a418",
+      "#a35c00",
+      "#1c3fb2",
+      "#b218b2",
+      "#1894a4",
+      "#6e6e6e",
+      "#555555",
+      "#e0363b",
+      "#2d9f2d",
+      "#b58900",
+      "#3b63e0",
+      "#d33fd3",
+      "#1fa6b8",
+      "#3c3c3c",
+    ],
+  },
+};
+
+/**
+ * Стили, включаемые SGR кодами (по таблице STYLES, первое имя кода)
+ * @constant {Object}
+ */
+const SGR_STYLE_ON = {};
+
+/**
+ * Стили, отключаемые SGR кодами (22 отключает и bold, и dim)
+ * @constant {Object}
+ */
+const SGR_STYLE_OFF = {};
+
+Object.entries(STYLES).forEach(([name, { on, off }]) => {
+  if (SGR_STYLE_ON[on]) return;
+
+  SGR_STYLE_ON[on] = name;
+  SGR_STYLE_OFF[off] = [...(SGR_STYLE_OFF[off] || []), name];
+});
+
+/**
+ * Переводит RGB в HEX
+ * @param {Array} rgb - Массив [R, G, B]
+ * @returns {string} Цвет вида '#rrggbb'
+ */
+function rgbToHex(rgb) {
+  return `#${rgb
+    .map((value) => Math.max(0, Math.min(255, value)).toString(16))
+    .map((hex) => hex.padStart(2, "0"))
+    .join("")}`;
+}
+
+/**
+ * Экранирует спецсимволы HTML
+ * @param {string} text - Текст
+ * @returns {string} Безопасный для вставки в HTML текст
+ */
+function escapeHtml(text) {
+  return text.replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[
+        char
+      ])
+  );
+}
+
+/**
+ * Выбирает палитру HTML по имени или объекту
+ * @param {string|Object} [theme='dark'] - 'dark', 'light' или {foreground, background, palette}
+ * @returns {Object} Палитра {foreground, background, palette}
+ * @throws {Error} Если палитра с таким именем не найдена
+ */
+function resolveHtmlTheme(theme = "dark") {
+  if (typeof theme === "object" && theme) {
+    return { ...HTML_THEMES.dark, ...theme };
+  }
+  if (!HTML_THEMES[theme]) {
+    throw new Error(`Неизвестная палитра HTML: ${theme}`);
+  }
+  return HTML_THEMES[theme];
+}
+
+/**
+ * Состояние SGR без стилей и цветов
+ * @returns {Object} {fg, bg, index, bold, dim, ...} - цвета {index} или {rgb}
+ */
+function createSgrState() {
+  return { fg: null, bg: null, index: null };
+}
+
+/**
+ * Применяет параметры SGR последовательности к состоянию
+ * @param {Object} state - Текущее состояние
+ * @param {Array} codes - Числовые параметры последовательности
+ * @returns {Object} Новое состояние
+ */
+function applySgrCodes(state, codes) {
+  let next = { ...state };
+
+  for (let i = 0; i < codes.length; i++) {
+    const code = codes[i];
+
+    if (code === 0) next = createSgrState();
+    else if (SGR_STYLE_ON[code]) next[SGR_STYLE_ON[code]] = true;
+    else if (SGR_STYLE_OFF[code]) {
+      SGR_STYLE_OFF[code].forEach((name) => delete next[name]);
+    } else if (code >= 30 && code <= 37) next.fg = { index: code - 30 };
+    else if (code >= 90 && code <= 97) next.fg = { index: code - 90 + 8 };
+    else if (code >= 40 && code <= 47) next.bg = { index: code - 40 };
+    else if (code >= 100 && code <= 107) next.bg = { index: code - 100 + 8 };
+    else if (code === 39) next.fg = null;
+    else if (code === 49) next.bg = null;
+    else if (code === INDEX.up) next.index = "up";
+    else if (code === INDEX.down) next.index = "down";
+    else if (code === INDEX.off) next.index = null;
+    else if (code === 38 || code === 48) {
+      const channel = code === 38 ? "fg" : "bg";
+
+      if (codes[i + 1] === 5) {
+        next[channel] = { index: Math.min(255, codes[i + 2] || 0) };
+        i += 2;
+      } else if (codes[i + 1] === 2) {
+        next[channel] = {
+          rgb: codes.slice(i + 2, i + 5).map((value) => value || 0),
+        };
+        i += 4;
+      }
+    }
+  }
+
+  return next;
+}
+
+/**
+ * Сравнивает цвета состояния SGR: {index} или {rgb}
+ * @param {Object|null} a - Первый цвет
+ * @param {Object|null} b - Второй цвет
+ * @returns {boolean} Цвета совпадают
+ */
+function sameSgrColor(a, b) {
+  if (!a || !b) return a === b;
+  if (a.rgb || b.rgb) {
+    return Boolean(a.rgb && b.rgb) && a.rgb.every((v, i) => v === b.rgb[i]);
+  }
+  return a.index === b.index;
+}
+
+/**
+ * Сравнивает состояния SGR по значениям, без учета порядка ключей
+ * @param {Object} a - Первое состояние
+ * @param {Object} b - Второе состояние
+ * @returns {boolean} Состояния совпадают
+ */
+function sameSgrState(a, b) {
+  const keys = Object.keys(a);
+
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every((key) =>
+      key === "fg" || key === "bg"
+        ? sameSgrColor(a[key], b[key])
+        : a[key] === b[key]
+    )
+  );
+}
+
+/**
+ * Разбивает текст с ANSI кодами на участки с одинаковым состоянием SGR
+ * Последовательности, не относящиеся к SGR (курсор, очистка строк), удаляются
+ * @param {string} text - Текст с ANSI кодами
+ * @returns {Array} Участки {text, state}
+ *
+ * @example
+ * splitSgrRuns('\x1b[31mA\x1b[0mB')
+ * // [{text: 'A', state: {fg: {index: 1}, ...}}, {text: 'B', state: {fg: null, ...}}]
+ */
+function splitSgrRuns(text) {
+  const source = `${text}`;
+  const pattern = new RegExp(ANSI_PATTERN.source, "g");
+  const runs = [];
+  let state = createSgrState();
+  let run = "";
+  let last = 0;
+  let match;
+
+  // Участок продолжает предыдущий, если состояние вернулось к прежнему
+  const flush = () => {
+    const previous = runs[runs.length - 1];
+
+    if (!run) return;
+    if (previous && sameSgrState(previous.state, state)) previous.text += run;
+    else runs.push({ text: run, state });
+    run = "";
+  };
+
+  while ((match = pattern.exec(source)) !== null) {
+    run += source.slice(last, match.index);
+    last = pattern.lastIndex;
+
+    if (!match[0].endsWith(postfix)) continue;
+
+    const codes = match[0]
+      .slice(prefix.length, -1)
+      .split(";")
+      .map((code) => parseInt(code, 10) || 0);
+    const next = applySgrCodes(state, codes);
+
+    if (!sameSgrState(next, state)) {
+      flush();
+      state = next;
+    }
+  }
+  run += source.slice(last);
+  flush();
+
+  return runs;
+}
+
+/**
+ * Значение CSS для цвета из состояния SGR
+ * @param {Object} color - {index} или {rgb}
+ * @param {Object} theme - Палитра HTML
+ * @returns {string} Цвет вида '#rrggbb'
+ */
+function sgrColorToCss(color, theme) {
+  if (color.rgb) return rgbToHex(color.rgb);
+  if (color.index < 16) return theme.palette[color.index];
+  return rgbToHex(ansi256ToRgb(color.index));
+}
+
+/**
+ * Оборачивает участок текста в теги по состоянию SGR
+ * @param {string} text - Экранированный текст
+ * @param {Object} state - Состояние SGR
+ * @param {Object} options - {theme, prefix} (prefix - префикс классов или null)
+ * @returns {string} HTML участка
+ */
+function renderHtmlRun(text, state, { theme, prefix: classPrefix }) {
+  const classes = [];
+  const css = [];
+
+  // Инверсия меняет местами текст и фон, включая цвета по умолчанию
+  const [fg, bg] = state.inverse ? [state.bg, state.fg] : [state.fg, state.bg];
+
+  [
+    [fg, "fg", "color", theme.background],
+    [bg, "bg", "background-color", theme.foreground],
+  ].forEach(([color, channel, property, inverted]) => {
+    if (!color && !state.inverse) return;
+
+    if (classPrefix !== null && (!color || color.index < 16)) {
+      classes.push(
+        `${classPrefix}${channel}-${color ? color.index : "inverse"}`
+      );
+    } else {
+      css.push(`${property}:${color ? sgrColorToCss(color, theme) : inverted}`);
+    }
+  });
+
+  ["bold", "dim", "italic", "underline", "blink", "hidden", "strikethrough"]
+    .filter((name) => state[name])
+    .forEach((name) => {
+      if (classPrefix !== null) classes.push(`${classPrefix}${name}`);
+    });
+
+  if (classPrefix === null) {
+    const decoration = [
+      state.underline && "underline",
+      state.strikethrough && "line-through",
+      state.blink && "blink",
+    ].filter(Boolean);
+
+    if (state.bold) css.push("font-weight:bold");
+    if (state.dim) css.push("opacity:0.5");
+    if (state.italic) css.push("font-style:italic");
+    if (decoration.length) css.push(`text-decoration:${decoration.join(" ")}`);
+    if (state.hidden) css.push("visibility:hidden");
+  }
+
+  const attributes = [
+    classes.length && ` class="${classes.join(" ")}"`,
+    css.length && ` style="${css.join(";")}"`,
+  ]
+    .filter(Boolean)
+    .join("");
+  let html = attributes ? `<span${attributes}>${text}</span>` : text;
+
+  if (state.index === "up") html = `<sup>${html}</sup>`;
+  if (state.index === "down") html = `<sub>${html}</sub>`;
+
+  return html;
+}
+
+/**
+ * Преобразует текст с ANSI кодами в HTML
+ * Поддерживает все, что выводит логгер: цвета 30-37, 90-97, 40-47, 100-107,
+ * 38;5;n, 38;2;r;g;b, стили STYLES и их отключение, сброс и индексы 73/74/75
+ * (в теги sup и sub). Прочие escape-последовательности удаляются, текст
+ * экранируется, каждый участок закрывается сам, поэтому HTML всегда корректен
+ * @param {string} text - Текст с ANSI кодами
+ * @param {Object} [options={}] - Опции
+ * @param {boolean} [options.inline=true] - Стили в атрибуте style
+ * @param {boolean|string} [options.classes=false] - CSS классы вместо style (строка - префикс классов, по умолчанию 'ansi-');
+ *   цвета 256 и truecolor остаются в style, таблица стилей - ansiHtmlStyles()
+ * @param {string|Object} [options.theme='dark'] - Палитра: 'dark', 'light' или {foreground, background, palette}
+ * @param {boolean} [options.wrap=false] - Обернуть результат в <pre> с цветами палитры
+ * @returns {string} HTML
+ * @throws {Error} Если палитра с таким именем не найдена
+ *
+ * @example
+ * ansiToHtml('\x1b[1;31mОшибка\x1b[0m H\x1b[73m2\x1b[75mO')
+ * // '<span style="color:#cd0000;font-weight:bold">Ошибка</span> H<sub>2</sub>O'
+ * ansiToHtml(text, { classes: true, theme: 'light' })
+ */
+export function ansiToHtml(text, options = {}) {
+  const theme = resolveHtmlTheme(options.theme);
+  const useClasses =
+    options.classes !== undefined
+      ? Boolean(options.classes)
+      : options.inline === false;
+  const render = {
+    theme,
+    prefix: useClasses
+      ? typeof options.classes === "string"
+        ? options.classes
+        : "ansi-"
+      : null,
+  };
+
+  const html = splitSgrRuns(text)
+    .map((run) => renderHtmlRun(escapeHtml(run.text), run.state, render))
+    .join("");
+
+  if (!options.wrap) return html;
+
+  const attributes = render.prefix
+    ? ` class="${render.prefix}log"`
+    : ` style="color:${theme.foreground};background-color:${theme.background}"`;
+  return `<pre${attributes}>${html}</pre>`;
+}
+
+/**
+ * Таблица стилей для HTML, созданного ansiToHtml с опцией classes
+ * @param {Object} [options={}] - Опции
+ * @param {boolean|string} [options.classes='ansi-'] - Префикс классов
+ * @param {string|Object} [options.theme='dark'] - Палитра
+ * @returns {string} CSS
+ *
+ * @example
+ * `<style>${ansiHtmlStyles({ theme: 'light' })}</style>${ansiToHtml(text, { classes: true, theme: 'light', wrap: true })}`
+ */
+export function ansiHtmlStyles(options = {}) {
+  const theme = resolveHtmlTheme(options.theme);
+  const p = typeof options.classes === "string" ? options.classes : "ansi-";
+
+  const rules = [
+    `.${p}log { color: ${theme.foreground}; background-color: ${theme.background}; }`,
+    ...theme.palette.map(
+      (color, index) =>
+        `.${p}fg-${index} { color: ${color}; }\n.${p}bg-${index} { background-color: ${color}; }`
+    ),
+    `.${p}fg-inverse { color: ${theme.background}; }`,
+    `.${p}bg-inverse { background-color: ${theme.foreground}; }`,
+    `.${p}bold { font-weight: bold; }`,
+    `.${p}dim { opacity: 0.5; }`,
+    `.${p}italic { font-style: italic; }`,
+    `.${p}underline { text-decoration: underline; }`,
+    `.${p}strikethrough { text-decoration: line-through; }`,
+    `.${p}underline.${p}strikethrough { text-decoration: underline line-through; }`,
+    `.${p}blink { animation: ${p}blink 1s step-end infinite; }`,
+    `@keyframes ${p}blink { 50% { opacity: 0; } }`,
+    `.${p}hidden { visibility: hidden; }`,
+  ];
+
+  return rules.join("\n");
+}
+
+/**
+ * Стили CSS участка текста для консоли браузера (%c)
+ * DevTools не поддерживают opacity и visibility, поэтому приглушенный
+ * и скрытый текст передаются цветом
+ * @param {Object} state - Состояние SGR
+ * @param {Object} theme - Палитра
+ * @returns {string} Объявления CSS через ';' или пустая строка
+ */
+function sgrStateToConsoleCss(state, theme) {
+  const css = [];
+  const [fg, bg] = state.inverse ? [state.bg, state.fg] : [state.fg, state.bg];
+
+  let color = fg ? sgrColorToCss(fg, theme) : null;
+  if (!fg && state.inverse) color = theme.background;
+  if (state.dim) color = color ? `${color}99` : "gray";
+  if (state.hidden) color = "transparent";
+
+  if (color) css.push(`color:${color}`);
+  if (bg) css.push(`background-color:${sgrColorToCss(bg, theme)}`);
+  else if (state.inverse) css.push(`background-color:${theme.foreground}`);
+
+  const decoration = [
+    state.underline && "underline",
+    state.strikethrough && "line-through",
+  ].filter(Boolean);
+
+  if (state.bold) css.push("font-weight:bold");
+  if (state.italic) css.push("font-style:italic");
+  if (decoration.length) css.push(`text-decoration:${decoration.join(" ")}`);
+
+  // Верхний (74) и нижний (73) индексы из INDEX
+  if (state.index) {
+    css.push(
+      `vertical-align:${state.index === "up" ? "super" : "sub"}`,
+      "font-size:smaller"
+    );
+  }
+
+  return css.join(";");
+}
+
+/**
+ * Преобразует текст с ANSI кодами в аргументы console.log с %c и CSS
+ * Используется консольным транспортом в браузере, где escape-последовательности
+ * выводятся как есть
+ * @param {string} text - Текст с ANSI кодами
+ * @param {Object} [options={}] - Опции
+ * @param {string|Object} [options.theme='dark'] - Палитра базовых цветов (см. ansiToHtml)
+ * @returns {Array} Аргументы [format, css1, css2, ...] или [text] без стилей
+ *
+ * @example
+ * console.log(...ansiToConsoleArgs('\x1b[31mОшибка\x1b[0m: диск'))
+ * // console.log('%cОшибка%c: диск', 'color:#cd0000', '')
+ */
+export function ansiToConsoleArgs(text, options = {}) {
+  const theme = resolveHtmlTheme(options.theme);
+  const runs = splitSgrRuns(text).map((run) => ({
+    text: run.text,
+    css: sgrStateToConsoleCss(run.state, theme),
+  }));
+
+  if (runs.every((run) => !run.css)) {
+    return [runs.map((run) => run.text).join("")];
+  }
+
+  // % в тексте не должен восприниматься как подстановка
+  const format = runs
+    .map((run) => `%c${run.text.replace(/%/g, "%%")}`)
+    .join("");
+  return [format, ...runs.map((run) => run.css)];
+}
+
+// =============================================================================
+// ФОРМАТИРОВАНИЕ ЗНАЧЕНИЙ
+// =============================================================================
+
+/**
+ * Стили подсветки значений в формате prepareObject
+ * @constant {Object}
+ */
+const INSPECT_STYLES = {
+  string: { color: "green" },
+  number: { color: "yellow" },
+  bigint: { color: "yellow" },
+  boolean: { color: "yellow" },
+  null: { style: "bold" },
+  undefined: { style: "dim" },
+  symbol: { color: "green" },
+  key: { color: "cyan" },
+  className: { color: "magenta" },
+  function: { color: "cyan" },
+  date: { color: "magenta" },
+  regexp: { color: "red" },
+  special: { color: "cyan", style: "italic" },
+};
+
+/**
+ * Настройки форматирования значений по умолчанию
+ * @constant {Object}
+ */
+const INSPECT_DEFAULTS = {
+  depth: 2,
+  colors: true,
+  breakLength: 80,
+  maxArrayLength: 100,
+  maxStringLength: 10000,
+};
+
+/**
+ * Экранирует строку для вывода в кавычках
+ * @param {string} value - Строка
+ * @param {number} limit - Максимальная длина
+ * @returns {string} Строка в одинарных кавычках
+ */
+function quoteString(value, limit) {
+  const cut = value.length > limit;
+  const text = (cut ? value.slice(0, limit) : value)
+    .replace(/\\/g, "\\\\")
+    .replace(/'/g, "\\'")
+    .replace(/\n/g, "\\n")
+    .replace(/\t/g, "\\t")
+    .replace(ANSI_PATTERN, (i) => i.replace("\x1b", "\\x1b"));
+
+  return `'${text}'${cut ? `... ${value.length - limit} more characters` : ""}`;
+}
+
+/**
+ * Имя класса объекта для подписи ('' для простых объектов)
+ * @param {Object} value - Объект
+ * @returns {string|null} Имя конструктора или null для объектов без прототипа
+ */
+function getClassName(value) {
+  const proto = Object.getPrototypeOf(value);
+  if (proto === null) return null;
+  return proto.constructor?.name || "";
+}
+
+/**
+ * Собирает элементы коллекции в одну или несколько строк
+ * @param {string} open - Открывающая скобка с подписью, например 'Map(2) {'
+ * @param {Array} entries - Отформатированные элементы
+ * @param {string} close - Закрывающая скобка
+ * @param {Object} ctx - Контекст форматирования
+ * @param {number} level - Уровень вложенности
+ * @returns {string} Собранная строка
+ */
+function joinEntries(open, entries, close, ctx, level) {
+  if (!entries.length) return `${open}${close}`;
+
+  const single = `${open} ${entries.join(", ")} ${close}`;
+  const multiline = entries.some((i) => i.includes("\n"));
+
+  if (!multiline && visibleWidth(single) + level * 2 <= ctx.breakLength) {
+    return single;
+  }
+
+  const pad = "  ".repeat(level);
+  let lines = entries;
+
+  // Короткие элементы длинных списков группируются по несколько в строке
+  const widths = entries.map((i) => visibleWidth(i));
+  const average = widths.reduce((sum, i) => sum + i, 0) / widths.length;
+  if (!multiline && entries.length > 6 && average <= 10) {
+    const room = ctx.breakLength - level * 2 - 2;
+    lines = [];
+    let row = [];
+    let rowWidth = 0;
+
+    entries.forEach((entry, index) => {
+      if (row.length && rowWidth + widths[index] + 2 > room) {
+        lines.push(row.join(", "));
+        row = [];
+        rowWidth = 0;
+      }
+      row.push(entry);
+      rowWidth += widths[index] + 2;
+    });
+    lines.push(row.join(", "));
+  }
+
+  return `${open}\n${pad}  ${lines.join(`,\n${pad}  `)}\n${pad}${close}`;
+}
+
+/**
+ * Рекурсивно форматирует значение
+ * @param {*} value - Значение
+ * @param {Object} ctx - Контекст {depth, colors, breakLength, maxArrayLength, maxStringLength, seen}
+ * @param {number} level - Уровень вложенности
+ * @returns {string} Отформатированное значение
+ */
+function inspectValue(value, ctx, level) {
+  const paint = (text, style) =>
+    ctx.colors ? applyStyle(text, INSPECT_STYLES[style]) : text;
+
+  // Примитивы
+  if (value === null) return paint("null", "null");
+  if (value === undefined) return paint("undefined", "undefined");
+
+  switch (typeof value) {
+    case "string":
+      return paint(quoteString(value, ctx.maxStringLength), "string");
+    case "number":
+      return paint(Object.is(value, -0) ? "-0" : `${value}`, "number");
+    case "bigint":
+      return paint(`${value}n`, "bigint");
+    case "boolean":
+      return paint(`${value}`, "boolean");
+    case "symbol":
+      return paint(value.toString(), "symbol");
+    case "function": {
+      const isClass = /^class\s/.test(Function.prototype.toString.call(value));
+      const label = isClass
+        ? `[class ${value.name || "(anonymous)"}]`
+        : `[Function: ${value.name || "(anonymous)"}]`;
+      return paint(label, "function");
+    }
+  }
+
+  // Объекты с особым представлением
+  if (value instanceof Date) {
+    return paint(
+      isNaN(value.getTime()) ? "Invalid Date" : value.toISOString(),
+      "date"
+    );
+  }
+  if (value instanceof RegExp) return paint(`${value}`, "regexp");
+  if (value instanceof Error) {
+    return paint(`[${value.name}: ${value.message}]`, "special");
+  }
+
+  if (ctx.seen.includes(value)) return paint("[Circular]", "special");
+
+  const className = getClassName(value);
+  const isArray = Array.isArray(value);
+  const isView = ArrayBuffer.isView(value) && !(value instanceof DataView);
+
+  if (level > ctx.depth) {
+    const label = isArray ? "Array" : className || "Object";
+    return paint(`[${label}]`, "special");
+  }
+
+  ctx.seen.push(value);
+
+  const entries = [];
+  const child = (item) => inspectValue(item, ctx, level + 1);
+  const more = (count) =>
+    paint(`... ${count} more item${count > 1 ? "s" : ""}`, "special");
+
+  let open;
+  let close = "}";
+
+  if (value instanceof Map) {
+    open = `${paint(`${className}(${value.size})`, "className")} {`;
+    Array.from(value.entries())
+      .slice(0, ctx.maxArrayLength)
+      .forEach(([key, item]) =>
+        entries.push(`${child(key)} => ${child(item)}`)
+      );
+    if (value.size > ctx.maxArrayLength) {
+      entries.push(more(value.size - ctx.maxArrayLength));
+    }
+  } else if (value instanceof Set) {
+    open = `${paint(`${className}(${value.size})`, "className")} {`;
+    Array.from(value.values())
+      .slice(0, ctx.maxArrayLength)
+      .forEach((item) => entries.push(child(item)));
+    if (value.size > ctx.maxArrayLength) {
+      entries.push(more(value.size - ctx.maxArrayLength));
+    }
+  } else if (isArray || isView) {
+    const label =
+      className === "Array"
+        ? ""
+        : `${paint(`${className}(${value.length})`, "className")} `;
+    open = `${label}[`;
+    close = "]";
+    Array.from(value)
+      .slice(0, ctx.maxArrayLength)
+      .forEach((item) => entries.push(child(item)));
+    if (value.length > ctx.maxArrayLength) {
+      entries.push(more(value.length - ctx.maxArrayLength));
+    }
+  } else {
+    const label =
+      className === null
+        ? "[Object: null prototype] "
+        : className && className !== "Object"
+        ? `${paint(className, "className")} `
+        : "";
+    open = `${label}{`;
+  }
+
+  // Собственные перечисляемые свойства (у массивов - только не индексы)
+  if (!(value instanceof Map) && !(value instanceof Set)) {
+    const keys = [
+      ...Object.keys(value).filter(
+        (key) => !(isArray || isView) || !/^\d+$/.test(key)
+      ),
+      ...Object.getOwnPropertySymbols(value).filter(
+        (key) => Object.getOwnPropertyDescriptor(value, key).enumerable
+      ),
+    ];
+
+    keys.forEach((key) => {
+      const name =
+        typeof key === "symbol"
+          ? `[${key.toString()}]`
+          : /^[A-Za-z_$][\w$]*$/.test(key)
+          ? key
+          : quoteString(key, ctx.maxStringLength);
+      entries.push(`${paint(name, "key")}: ${child(value[key])}`);
+    });
+  }
+
+  ctx.seen.pop();
+
+  return joinEntries(open, entries, close, ctx, level);
+}
+
+/**
+ * Форматирует любое значение в читаемую строку с подсветкой синтаксиса
+ * @param {*} value - Значение
+ * @param {Object} [options={}] - Опции
+ * @param {number} [options.depth=2] - Глубина раскрытия вложенных объектов
+ * @param {boolean} [options.colors=true] - Подсветка ANSI кодами
+ * @param {number} [options.breakLength=80] - Ширина, после которой объект разбивается на строки
+ * @param {number} [options.maxArrayLength=100] - Максимум элементов массивов, Map и Set
+ * @param {number} [options.maxStringLength=10000] - Максимальная длина строк
+ * @returns {string} Отформатированное значение
+ *
+ * @example
+ * inspect({ id: 1, tags: new Set(['a']) }) // "{ id: 1, tags: Set(1) { 'a' } }" с подсветкой
+ * inspect(new Map([['k', null]]), { colors: false }) // "Map(1) { 'k' => null }"
+ */
+export function inspect(value, options = {}) {
+  const ctx = { ...INSPECT_DEFAULTS, ...options, seen: [] };
+  return inspectValue(value, ctx, 0);
+}
+
+/**
+ * Форматирует список аргументов как console.log: printf-подстановки
+ * %s %d %i %f %o %O %j %c %% в первой строке, остальные аргументы через пробел
+ * @param {Array} args - Аргументы вызова
+ * @param {Object} [options={}] - Опции inspect для нестроковых аргументов
+ * @returns {string} Итоговая строка
+ *
+ * @example
+ * formatArgs(['%s вошел, id=%d', 'admin', 42]) // 'admin вошел, id=42'
+ * formatArgs(['user', { id: 1 }]) // "user { id: 1 }" с подсветкой
+ */
+export function formatArgs(args, options = {}) {
+  const rest = [...args];
+  const parts = [];
+
+  if (typeof rest[0] === "string" && rest[0].includes("%")) {
+    const template = rest.shift();
+
+    parts.push(
+      template.replace(/%([sdifoOjc%])/g, (token, type) => {
+        if (type === "%") return "%";
+        if (!rest.length) return token;
+
+        const arg = rest.shift();
+        switch (type) {
+          case "s":
+            return typeof arg === "string"
+              ? arg
+              : typeof arg === "bigint"
+              ? `${arg}n`
+              : typeof arg === "object" && arg !== null
+              ? inspect(arg, { ...options, depth: 1 })
+              : String(arg);
+          case "d":
+            return typeof arg === "bigint" ? `${arg}n` : `${Number(arg)}`;
+          case "i":
+            return typeof arg === "bigint" ? `${arg}n` : `${parseInt(arg, 10)}`;
+          case "f":
+            return `${parseFloat(arg)}`;
+          case "o":
+            return inspect(arg, { ...options, depth: 4 });
+          case "O":
+            return inspect(arg, options);
+          case "j":
+            try {
+              return JSON.stringify(arg);
+            } catch (e) {
+              return "[Circular]";
+            }
+          default:
+            // %c используется только в браузере
+            return "";
+        }
+      })
+    );
+  }
+
+  rest.forEach((arg) => {
+    parts.push(
+      typeof arg === "string"
+        ? arg
+        : arg instanceof Error
+        ? renderError(arg, { colors: options.colors ?? true })
+        : inspect(arg, options)
+    );
+  });
+
+  return parts.join(" ");
+}
+
+// =============================================================================
+// ФОРМАТИРОВАНИЕ ОШИБОК
+// =============================================================================
+
+/**
+ * Стили частей ошибки в формате prepareObject
+ * @constant {Object}
+ */
+const ERROR_STYLES = {
+  name: { color: "red", style: "bold" },
+  message: { color: "red" },
+  code: { color: "yellow" },
+  location: { color: "cyan" },
+  external: { style: "dim" },
+  label: { color: "magenta", style: "bold" },
+};
+
+/**
+ * Строка стека, относящаяся к зависимостям или внутренностям Node.js
+ * @param {string} location - Путь из строки стека
+ * @returns {string|null} 'internal', 'dependency' или null для собственного кода
+ */
+function classifyFrame(location) {
+  if (/^node:|^internal[\\/]|\(native\)|^native /.test(location)) {
+    return "internal";
+  }
+  if (/[\\/]node_modules[\\/]/.test(location)) return "dependency";
+  return null;
+}
+
+/**
+ * Заменяет абсолютный путь на путь относительно рабочей директории
+ * @param {string} location - Путь вида /abs/file.js:10:5 или file:///abs/file.js:10:5
+ * @param {string} cwd - Рабочая директория
+ * @returns {string} Относительный путь, например ./src/app.js:10:5
+ */
+function relativeLocation(location, cwd) {
+  if (!cwd) return location;
+
+  const path = location.replace(/^file:\/\//, "");
+  const base = cwd.endsWith("/") || cwd.endsWith("\\") ? cwd : `${cwd}/`;
+
+  if (path.startsWith(base)) return `./${path.slice(base.length)}`;
+  if (path.startsWith(base.replace(/\//g, "\\"))) {
+    return `.\\${path.slice(base.length)}`;
+  }
+  return location;
+}
+
+/**
+ * Рекурсивно форматирует ошибку
+ * @param {Error} error - Ошибка
+ * @param {Object} ctx - Контекст {colors, cwd, hideInternals, depth, seen}
+ * @param {number} level - Уровень вложенности (cause, errors)
+ * @returns {Array} Строки результата
+ */
+function renderErrorLines(error, ctx, level) {
+  const paint = (text, style) =>
+    ctx.colors ? applyStyle(text, ERROR_STYLES[style]) : text;
+
+  if (!(error instanceof Error)) {
+    return [inspect(error, { colors: ctx.colors })];
+  }
+  if (ctx.seen.includes(error)) return [paint("[Circular]", "external")];
+  if (level > ctx.depth) return [paint(`[${error.name}]`, "external")];
+
+  ctx.seen.push(error);
+
+  // Заголовок: имя, сообщение и код
+  const code =
+    error.code !== undefined ? ` ${paint(`[${error.code}]`, "code")}` : "";
+  const lines = [
+    `${paint(error.name || "Error", "name")}${
+      error.message ? `: ${paint(error.message, "message")}` : ""
+    }${code}`,
+  ];
+
+  // Строки стека
+  const frames = `${error.stack || ""}`
+    .split("\n")
+    .filter((line) => /^\s*at /.test(line));
+  let hidden = 0;
+
+  const flushHidden = () => {
+    if (!hidden) return;
+    lines.push(
+      paint(
+        `    ... ${hidden} internal frame${hidden > 1 ? "s" : ""}`,
+        "external"
+      )
+    );
+    hidden = 0;
+  };
+
+  frames.forEach((frame) => {
+    const match = frame.trim().match(/^at (?:(.*?) \((.*)\)|(.*))$/);
+    const fn = match?.[1] || "";
+    const location = match?.[2] || match?.[3] || "";
+    const kind = classifyFrame(location);
+
+    if (kind === "internal" && ctx.hideInternals) {
+      hidden++;
+      return;
+    }
+    flushHidden();
+
+    const place = relativeLocation(location, ctx.cwd);
+    const text = fn ? `    at ${fn} (${place})` : `    at ${place}`;
+
+    if (kind) {
+      lines.push(paint(text, "external"));
+    } else {
+      lines.push(
+        fn
+          ? `    at ${fn} (${paint(place, "location")})`
+          : `    at ${paint(place, "location")}`
+      );
+    }
+  });
+  flushHidden();
+
+  // Вложенные ошибки AggregateError
+  if (Array.isArray(error.errors)) {
+    error.errors.forEach((item, index) => {
+      const nested = renderErrorLines(item, ctx, level + 1);
+      lines.push(`  ${paint(`[${index}]`, "label")} ${nested[0]}`);
+      nested.slice(1).forEach((line) => lines.push(`  ${line}`));
+    });
+  }
+
+  // Цепочка причин
+  if (error.cause !== undefined) {
+    const nested = renderErrorLines(error.cause, ctx, level + 1);
+    lines.push(`${paint("Caused by:", "label")} ${nested[0]}`);
+    nested.slice(1).forEach((line) => lines.push(line));
+  }
+
+  ctx.seen.pop();
+  return lines;
+}
+
+/**
+ * Форматирует ошибку с подсвеченным заголовком и стеком
+ * Собственные строки стека выделяются, строки из node_modules приглушаются,
+ * внутренние строки Node.js сворачиваются; пути показываются относительно cwd,
+ * рекурсивно выводятся error.cause и AggregateError.errors
+ * @param {Error} error - Ошибка
+ * @param {Object} [options={}] - Опции
+ * @param {boolean} [options.colors=true] - Подсветка ANSI кодами
+ * @param {string} [options.cwd=process.cwd()] - Директория для относительных путей
+ * @param {boolean} [options.hideInternals=true] - Сворачивать строки node:internal
+ * @param {number} [options.depth=5] - Глубина вывода причин и вложенных ошибок
+ * @returns {string} Отформатированная ошибка
+ *
+ * @example
+ * renderError(new Error('Нет соединения', { cause: dbError }))
+ */
+export function renderError(error, options = {}) {
+  const ctx = {
+    colors: true,
+    cwd: globalThis.process?.cwd?.() || "",
+    hideInternals: true,
+    depth: 5,
+    ...options,
+    seen: [],
+  };
+
+  return renderErrorLines(error, ctx, 0).join("\n");
+}
+
+/**
+ * Преобразует ошибку в простой объект для JSON
+ * @param {Error} error - Ошибка
+ * @param {Array} [seen=[]] - Уже обработанные ошибки (защита от циклов)
+ * @returns {Object} Объект {name, message, code, stack, cause, errors, ...свойства}
+ *
+ * @example
+ * serializeError(new TypeError('x')) // {name: 'TypeError', message: 'x', stack: '...'}
+ */
+export function serializeError(error, seen = []) {
+  if (!(error instanceof Error)) return error;
+  if (seen.includes(error)) return "[Circular]";
+
+  const nextSeen = [...seen, error];
+  const data = { name: error.name, message: error.message };
+
+  // Собственные свойства ошибки (code, statusCode и т.п.)
+  Object.keys(error).forEach((key) => {
+    if (key === "cause" || key === "errors") return;
+    data[key] = error[key];
+  });
+
+  if (error.stack) data.stack = error.stack;
+  if (error.cause !== undefined) {
+    data.cause = serializeError(error.cause, nextSeen);
+  }
+  if (Array.isArray(error.errors)) {
+    data.errors = error.errors.map((item) => serializeError(item, nextSeen));
+  }
+
+  return data;
+}
+
+// =============================================================================
+// ТАБЛИЦЫ
+// =============================================================================
+
+/**
+ * Наборы символов рамок
+ * Каждая линия: [левый угол, горизонталь, пересечение, правый угол]
+ * @constant {Object}
+ */
+const BORDERS = {
+  single: {
+    top: ["┌", "─", "┬", "┐"],
+    middle: ["├", "─", "┼", "┤"],
+    bottom: ["└", "─", "┴", "┘"],
+    vertical: "│",
+  },
+  double: {
+    top: ["╔", "═", "╦", "╗"],
+    middle: ["╠", "═", "╬", "╣"],
+    bottom: ["╚", "═", "╩", "╝"],
+    vertical: "║",
+  },
+  rounded: {
+    top: ["╭", "─", "┬", "╮"],
+    middle: ["├", "─", "┼", "┤"],
+    bottom: ["╰", "─", "┴", "╯"],
+    vertical: "│",
+  },
+  ascii: {
+    top: ["+", "-", "+", "+"],
+    middle: ["+", "-", "+", "+"],
+    bottom: ["+", "-", "+", "+"],
+    vertical: "|",
+  },
+  none: null,
+};
+
+/**
+ * Ширина терминала или значение по умолчанию
+ * @param {number} [fallback=80] - Ширина, если терминал не определен
+ * @returns {number} Число колонок
+ */
+function getTerminalWidth(fallback = 80) {
+  return globalThis.process?.stdout?.columns || fallback;
+}
+
+/**
+ * Выравнивает текст в поле заданной видимой ширины
+ * @param {string} text - Текст с ANSI кодами
+ * @param {number} width - Ширина поля
+ * @param {string} [align='left'] - 'left', 'right' или 'center'
+ * @returns {string} Дополненный пробелами текст
+ */
+function alignText(text, width, align = "left") {
+  const space = Math.max(0, width - visibleWidth(text));
+
+  if (align === "right") return " ".repeat(space) + text;
+  if (align === "center") {
+    const left = Math.floor(space / 2);
+    return " ".repeat(left) + text + " ".repeat(space - left);
+  }
+  return text + " ".repeat(space);
+}
+
+/**
+ * Переносит строку с ANSI кодами по видимой ширине, по возможности по пробелам
+ * @param {string} text - Текст с ANSI кодами
+ * @param {number} width - Максимальная ширина строки
+ * @returns {Array} Строки результата
+ */
+function wrapAnsi(text, width) {
+  const lines = [];
+
+  `${text}`.split("\n").forEach((line) => {
+    const first = lines.length;
+    let rest = line;
+
+    while (visibleWidth(rest) > width) {
+      const plain = stripAnsi(sliceAnsi(rest, 0, width + 1));
+      const space = plain.lastIndexOf(" ");
+      let cut = space > 0 ? visibleWidth(plain.slice(0, space)) : width;
+
+      // Широкий символ, не помещающийся в строку, выводится отдельной строкой
+      if (space <= 0 && !visibleWidth(sliceAnsi(rest, 0, cut))) {
+        cut = graphemeWidth(splitGraphemes(plain)[0]);
+      }
+
+      lines.push(sliceAnsi(rest, 0, cut));
+      rest = sliceAnsi(rest, space > 0 ? cut + 1 : cut);
+    }
+
+    if (rest || lines.length === first) lines.push(rest);
+  });
+
+  return lines;
+}
+
+/**
+ * Превращает значение ячейки в строку: строки выводятся как есть (с опцией
+ * markup - через renderMarkup), остальные значения форматируются через inspect
+ * @param {*} value - Значение ячейки
+ * @param {Object} [style] - Стиль столбца в формате prepareObject
+ * @param {boolean} [markup=false] - Разбирать разметку в строках
+ * @returns {string} Текст ячейки с ANSI кодами
+ */
+function formatCell(value, style, markup = false) {
+  let text;
+
+  if (value === undefined || value === null) text = "";
+  else if (typeof value === "string") {
+    text = markup ? renderMarkup(value) : value;
+  } else {
+    // Стиль столбца заменяет подсветку значения
+    text = inspect(value, { breakLength: Infinity, depth: 0, colors: !style });
+  }
+
+  return applyStyle(text, style);
+}
+
+/**
+ * Строит таблицу с рамками; ширина считается по видимым символам,
+ * слишком широкие столбцы обрезаются или переносятся по ширине терминала
+ * @param {Array} rows - Строки: массивы значений или объекты
+ * @param {Object} [options={}] - Опции
+ * @param {Array} [options.columns] - Ключи столбцов или описания {key, title, align, style, width};
+ *   без key берется номер столбца (для строк-массивов)
+ * @param {string|Object} [options.align='left'] - Выравнивание всех столбцов или по ключам
+ * @param {string} [options.border='single'] - 'single', 'double', 'rounded', 'ascii' или 'none'
+ * @param {string} [options.borderColor] - Цвет рамки
+ * @param {Object} [options.headerStyle={style: 'bold'}] - Стиль заголовков в формате prepareObject
+ * @param {boolean} [options.header=true] - Показывать строку заголовков (для строк-массивов -
+ *   только если у столбцов заданы title)
+ * @param {number} [options.maxWidth] - Максимальная ширина таблицы (по умолчанию ширина терминала)
+ * @param {string} [options.overflow='truncate'] - 'truncate' или 'wrap' для длинных ячеек
+ * @param {boolean} [options.markup=false] - Разбирать разметку в строковых ячейках
+ * @returns {string} Таблица
+ *
+ * @example
+ * renderTable(
+ *   [{ name: 'api', status: '|c.green.up|', ms: 12 }],
+ *   { columns: ['name', 'status', { key: 'ms', align: 'right', style: { color: 'yellow' } }],
+ *     border: 'rounded', markup: true }
+ * )
+ */
+export function renderTable(rows = [], options = {}) {
+  const border = BORDERS[options.border ?? "single"];
+  const headerStyle = options.headerStyle ?? { style: "bold" };
+  const overflow = options.overflow ?? "truncate";
+  const paintBorder = (text) =>
+    options.borderColor ? colorizeByText(text, options.borderColor) : text;
+
+  // Описание столбцов
+  const keys = options.columns
+    ? options.columns
+    : rows.length && Array.isArray(rows[0])
+    ? rows[0].map((item, index) => index)
+    : Array.from(new Set(rows.flatMap((row) => Object.keys(row || {}))));
+
+  const columns = keys.map((column, index) => {
+    const data =
+      column && typeof column === "object"
+        ? { ...column, key: column.key ?? index }
+        : { key: column };
+    const align =
+      data.align ??
+      (typeof options.align === "object"
+        ? options.align[data.key]
+        : options.align) ??
+      "left";
+    return { ...data, title: data.title ?? `${data.key}`, align };
+  });
+
+  // Отформатированные ячейки
+  const header = columns.map((column) => applyStyle(column.title, headerStyle));
+  const body = rows.map((row) =>
+    columns.map((column) =>
+      formatCell(row?.[column.key], column.style, options.markup)
+    )
+  );
+  const showHeader =
+    options.header !== false &&
+    (!Array.isArray(rows[0]) ||
+      keys.some((column) => column?.title !== undefined));
+
+  // Ширины столбцов по видимым символам
+  const widths = columns.map((column, index) => {
+    if (column.width) return column.width;
+    const cells = showHeader ? [header[index]] : [];
+    body.forEach((row) => cells.push(row[index]));
+    return Math.max(
+      1,
+      ...cells.flatMap((cell) => cell.split("\n").map((i) => visibleWidth(i)))
+    );
+  });
+
+  // Ужатие самых широких столбцов под ширину терминала
+  const overhead = border ? columns.length * 3 + 1 : (columns.length - 1) * 2;
+  const maxWidth = options.maxWidth ?? getTerminalWidth();
+  while (
+    widths.reduce((sum, i) => sum + i, 0) + overhead > maxWidth &&
+    Math.max(...widths) > 3
+  ) {
+    widths[widths.indexOf(Math.max(...widths))]--;
+  }
+
+  /**
+   * Строка таблицы из ячеек (с переносом или обрезкой)
+   * @param {Array} cells - Ячейки строки
+   * @returns {Array} Линии вывода
+   */
+  const renderRow = (cells) => {
+    const parts = cells.map((cell, index) =>
+      overflow === "wrap"
+        ? wrapAnsi(cell, widths[index])
+        : cell.split("\n").map((line) => truncate(line, widths[index]))
+    );
+    const height = Math.max(...parts.map((i) => i.length));
+
+    return Array.from({ length: height }, (item, line) => {
+      const texts = parts.map((part, index) =>
+        alignText(part[line] ?? "", widths[index], columns[index].align)
+      );
+
+      if (!border) return texts.join("  ").replace(/\s+$/, "");
+
+      const vertical = paintBorder(border.vertical);
+      return `${vertical} ${texts.join(` ${vertical} `)} ${vertical}`;
+    });
+  };
+
+  /**
+   * Горизонтальная линия рамки
+   * @param {Array} chars - [левый угол, горизонталь, пересечение, правый угол]
+   * @returns {string} Линия
+   */
+  const renderLine = ([left, line, cross, right]) =>
+    paintBorder(
+      left + widths.map((width) => line.repeat(width + 2)).join(cross) + right
+    );
+
+  const lines = [];
+  if (border) lines.push(renderLine(border.top));
+  if (showHeader) {
+    lines.push(...renderRow(header));
+    if (border) lines.push(renderLine(border.middle));
+  }
+  body.forEach((row) => lines.push(...renderRow(row)));
+  if (border) lines.push(renderLine(border.bottom));
+
+  return lines.join("\n");
+}
+
+// =============================================================================
+// РАМКИ И ЗАГОЛОВКИ РАЗДЕЛОВ
+// =============================================================================
+
+/**
+ * Разбивает текст с ANSI кодами на строки, перенося действующие стили:
+ * каждая строка закрывается сбросом и открывается стилями предыдущей
+ * @param {string} text - Текст с ANSI кодами
+ * @returns {Array} Самостоятельные строки
+ */
+function splitAnsiLines(text) {
+  const lines = [];
+  let active = [];
+  let line = "";
+
+  tokenizeAnsi(`${text}`).forEach((token) => {
+    if (token.ansi) {
+      if (isResetSequence(token.value)) active = [];
+      else active.push(token.value);
+      line += token.value;
+      return;
+    }
+
+    if (token.value === "\n" || token.value === "\r\n") {
+      lines.push(active.length ? line + reset : line);
+      line = active.join("");
+      return;
+    }
+
+    line += token.value;
+  });
+
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * Нормализует отступы рамки
+ * @param {number|Object} padding - Число (по горизонтали) или {x, y}
+ * @returns {Object} Отступы {x, y}
+ */
+function resolvePadding(padding) {
+  if (typeof padding === "number") return { x: padding, y: 0 };
+  return { x: padding?.x ?? 1, y: padding?.y ?? 0 };
+}
+
+/**
+ * Рисует текст в рамке
+ * Цвета рамки и заголовка принимают тот же словарь, что и getColorFromText
+ * (имена, HEX, RGB, 'bg_', '+'), содержимое и заголовок с опцией markup -
+ * разметку |c.…| и {red}
+ * @param {string} text - Содержимое (может быть многострочным)
+ * @param {Object} [options={}] - Опции
+ * @param {string} [options.title] - Заголовок в верхней линии рамки
+ * @param {string} [options.titleColor] - Цвет заголовка
+ * @param {string} [options.titleAlign='left'] - Положение заголовка: 'left', 'center', 'right'
+ * @param {number|Object} [options.padding=1] - Внутренние отступы: число (по горизонтали) или {x, y}
+ * @param {string} [options.borderColor] - Цвет рамки
+ * @param {string} [options.borderStyle='single'] - 'single', 'double', 'rounded', 'ascii' или 'none'
+ * @param {string} [options.align='left'] - Выравнивание содержимого
+ * @param {number} [options.width] - Ширина содержимого (по умолчанию по самой длинной строке)
+ * @param {boolean} [options.markup=false] - Разбирать разметку в содержимом и заголовке
+ * @returns {string} Текст в рамке
+ *
+ * @example
+ * renderBox('Сервер запущен на |c.green.:3000|', {
+ *   title: 'api', borderColor: '#00aaff', borderStyle: 'rounded', padding: { x: 2, y: 1 },
+ *   markup: true
+ * })
+ */
+export function renderBox(text = "", options = {}) {
+  const border = BORDERS[options.borderStyle ?? "single"];
+  const padding = resolvePadding(options.padding ?? 1);
+  const align = options.align ?? "left";
+  const paintBorder = (value) =>
+    options.borderColor ? colorizeByText(value, options.borderColor) : value;
+
+  const format = (value) => (options.markup ? renderMarkup(value) : `${value}`);
+  const content = format(text);
+  const title = options.title
+    ? colorizeByText(format(options.title), options.titleColor)
+    : "";
+
+  // Ширина содержимого с учетом ширины терминала
+  const frame = (border ? 2 : 0) + padding.x * 2;
+  const limit = Math.max(1, getTerminalWidth() - frame);
+  let lines = splitAnsiLines(content);
+  let width =
+    options.width ?? Math.max(...lines.map((line) => visibleWidth(line)), 0);
+
+  if (title) width = Math.max(width, visibleWidth(title) + 2);
+  width = Math.min(width, options.width ?? limit);
+
+  lines = lines.flatMap((line) => wrapAnsi(line, width));
+
+  const inner = width + padding.x * 2;
+  const side = " ".repeat(padding.x);
+  const empty = " ".repeat(inner);
+  const body = [
+    ...Array(padding.y).fill(empty),
+    ...lines.map((line) => side + alignText(line, width, align) + side),
+    ...Array(padding.y).fill(empty),
+  ];
+
+  if (!border) return body.join("\n");
+
+  const [left, horizontal, , right] = border.top;
+  const [bottomLeft, bottomHorizontal, , bottomRight] = border.bottom;
+
+  // Верхняя линия с заголовком
+  let top = paintBorder(left + horizontal.repeat(inner) + right);
+  if (title && inner > 2) {
+    // Заголовок шире рамки обрезается, отступы линии не бывают отрицательными
+    const label = ` ${truncate(title, inner - 2)} `;
+    const space = inner - visibleWidth(label);
+    const offset =
+      options.titleAlign === "right"
+        ? space - 1
+        : options.titleAlign === "center"
+        ? Math.floor(space / 2)
+        : 1;
+    const before = Math.max(0, Math.min(space, offset));
+    top =
+      paintBorder(left + horizontal.repeat(before)) +
+      label +
+      paintBorder(horizontal.repeat(space - before) + right);
+  }
+
+  const vertical = paintBorder(border.vertical);
+  return [
+    top,
+    ...body.map((line) => vertical + line + vertical),
+    paintBorder(bottomLeft + bottomHorizontal.repeat(inner) + bottomRight),
+  ].join("\n");
+}
+
+/**
+ * Рисует заголовок раздела на всю ширину терминала: ── Заголовок ──────
+ * @param {string} [title=''] - Заголовок (с опцией markup поддерживает разметку |c.…|)
+ * @param {Object} [options={}] - Опции
+ * @param {string} [options.char='─'] - Символ линии
+ * @param {string} [options.color] - Цвет линии
+ * @param {string} [options.titleColor] - Цвет заголовка
+ * @param {string} [options.align='left'] - Положение заголовка: 'left', 'center', 'right'
+ * @param {number} [options.width] - Ширина (по умолчанию ширина терминала)
+ * @param {boolean} [options.markup=false] - Разбирать разметку в заголовке
+ * @returns {string} Строка заголовка
+ *
+ * @example
+ * renderSection('Сборка', { color: 'cyan', titleColor: 'white+' })
+ */
+export function renderSection(title = "", options = {}) {
+  const char = options.char ?? "─";
+  const width = options.width ?? getTerminalWidth();
+  const paintLine = (value) =>
+    options.color ? colorizeByText(value, options.color) : value;
+
+  if (!title) return paintLine(char.repeat(width));
+
+  const text = colorizeByText(
+    options.markup ? renderMarkup(title) : `${title}`,
+    options.titleColor
+  );
+  const label = ` ${text} `;
+  const space = Math.max(0, width - visibleWidth(label));
+  const before =
+    options.align === "right"
+      ? Math.max(0, space - 2)
+      : options.align === "center"
+      ? Math.floor(space / 2)
+      : Math.min(2, space);
+
+  return (
+    paintLine(char.repeat(before)) +
+    label +
+    paintLine(char.repeat(space - before))
+  );
+}
+
+// =============================================================================
+// СИСТЕМА ПОДАВЛЕНИЯ ПОВТОРЯЮЩИХСЯ ЛОГОВ
+// =============================================================================
+
+/**
+ * Конфигурация подавления по умолчанию
+ * @constant {Object}
+ */
+const DEFAULT_SUPPRESSION = {
+  enabled: false,
+  timeout: 1000, // Время в ms, в течение которого логи считаются повторными
+  showCounter: true, // Показывать счетчик повторений
+  maxEntries: 1000, // Сколько разных сообщений отслеживается одновременно
+  normalize: false, // Нормализация текста перед сравнением
+  locale: "ru", // Язык итоговой строки о повторах
+  summary: null, // Свой формат итоговой строки: строка с {count} или функция
+  limits: null, // Ограничения частоты по уровням: {debug: {rate: 50}, '*': {...}}
+  summaryInterval: 5000, // Период итогов о пропущенных сообщениях (ms)
+};
+
+/**
+ * Итоговые строки по языкам: шаблоны или функции
+ * repeat - о повторах: {count}, {text} - текст сообщения, {type} - тип лога;
+ *   функция (count, entry) => строка
+ * dropped - о пропущенных ограничением частоты: {count}, {level}, {seconds};
+ *   функция (count, level, seconds) => строка
+ * Строка вместо объекта (прежний формат) считается шаблоном repeat
+ * @constant {Object}
+ */
+export const SUPPRESSION_MESSAGES = {
+  ru: {
+    repeat: "[Повторён {count} раз]",
+    dropped: "[Пропущено сообщений {level}: {count} за {seconds}s]",
+  },
+  en: {
+    repeat: "[Repeated {count} times]",
+    dropped: "[Dropped {count} {level} messages in last {seconds}s]",
+  },
+};
+
+/**
+ * Встроенные строки на случай некорректной записи SUPPRESSION_MESSAGES
+ * @constant {Object}
+ */
+const FALLBACK_MESSAGES = { ...SUPPRESSION_MESSAGES.ru };
+
+/**
+ * Ключи конфигурации, относящиеся к подавлению повторов: их настройка
+ * без явного enabled включает подавление. resetHistory включает его,
+ * как и в прежних версиях configureLogSuppression
+ * @constant {Array}
+ */
+const REPEAT_SUPPRESSION_KEYS = [
+  "timeout",
+  "showCounter",
+  "maxEntries",
+  "normalize",
+  "summary",
+  "resetHistory",
+];
+
+/**
+ * Правила нормализации по умолчанию: изменчивые части сообщения
+ * заменяются метками, чтобы 'retry 1/5' и 'retry 2/5' считались повтором
+ * @constant {Array}
+ */
+const NORMALIZE_RULES = [
+  [
+    /\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi,
+    "<uuid>",
+  ],
+  [
+    /\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?/g,
+    "<time>",
+  ],
+  [/\b\d{1,2}:\d{2}:\d{2}(\.\d+)?\b/g, "<time>"],
+  [/\b0x[0-9a-f]+\b/gi, "<hex>"],
+  [/\d+(\.\d+)?/g, "<n>"],
+];
+
+/**
+ * Системные часы подавления; в тестах заменяются ручными (createManualClock)
+ * @constant {Object}
+ */
+const SYSTEM_CLOCK = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => {
+    const timer = setTimeout(callback, delay);
+    timer.unref?.();
+    return timer;
+  },
+  clearTimeout: (timer) => clearTimeout(timer),
+};
+
+/**
+ * Состояния подавления с накопленными повторами (для вывода при выходе)
+ * @type {Set}
+ */
+const pendingSuppression = new Set();
+
+// Итоги повторов, накопленные к завершению процесса, не теряются
+globalThis.process?.once?.("exit", () => {
+  [...pendingSuppression].forEach((state) => flushSuppression(state));
+});
+
+/**
+ * Создает независимое состояние подавления для экземпляра логгера
+ * @param {Object} [config={}] - Начальная конфигурация подавления
+ * @returns {Object} Состояние {config, clock, entries, pending, buckets, dropped, onFlush, onDropped}
+ */
+function createSuppressionState(config = {}) {
+  return {
+    config: { ...DEFAULT_SUPPRESSION, ...config },
+    clock: SYSTEM_CLOCK, // Источник времени и таймеров окон
+    entries: new Map(), // Окна сообщений в порядке последнего использования (LRU)
+    pending: new Set(), // Окна с неучтенными повторами
+    buckets: new Map(), // Счетчики ограничений частоты по уровням и местам вызова
+    dropped: {}, // Пропущенные с последнего итога по уровням
+    droppedTotal: {}, // Пропущенные за все время по уровням
+    droppedSince: 0, // Начало периода итога
+    dropTimer: null, // Таймер итога о пропущенных
+    onFlush: null, // Вывод итоговой строки (задается логгером)
+    onDropped: null, // Вывод итога о пропущенных (задается логгером)
+  };
+}
+
+/**
+ * Обновляет список состояний, которым есть что сообщить при выходе
+ * @param {Object} state - Состояние подавления
+ */
+function updatePending(state) {
+  if (state.pending.size || state.dropTimer) pendingSuppression.add(state);
+  else pendingSuppression.delete(state);
+}
+
+/**
+ * Применяет конфигурацию подавления к состоянию логгера
+ * Заданные ключи объединяются с текущей конфигурацией, остальные не меняются
+ * @param {Object} state - Состояние подавления
  * @param {Object} config - Конфигурация
- * @param {boolean} [config.enabled=true] - Включить подавление
- * @param {number} [config.timeout=1000] - Таймаут для определения повторов (ms)
- * @param {boolean} [config.showCounter=true] - Показывать счетчик повторений
+ * @param {boolean} [config.enabled] - Включить подавление; без него подавление
+ *   включается пустой конфигурацией или настройкой повторов (timeout, showCounter...)
+ * @param {number} [config.timeout=1000] - Окно повторов для каждого сообщения (ms)
+ * @param {boolean} [config.showCounter=true] - Показывать счетчик и итог повторений
+ * @param {number} [config.maxEntries] - Максимум отслеживаемых сообщений (старые вытесняются)
+ * @param {boolean|Function|Array} [config.normalize] - true - правила по умолчанию,
+ *   функция text → ключ или список пар [RegExp, замена]
+ * @param {string} [config.locale] - Язык итоговой строки ('ru', 'en' или ключ SUPPRESSION_MESSAGES)
+ * @param {string|Function} [config.summary] - Формат итоговой строки: '[x{count}]' или (count, entry) => строка
+ * @param {Object} [config.limits] - Ограничения частоты по уровням (см. checkRateLimit), null - без ограничений
+ * @param {number} [config.summaryInterval] - Период итогов о пропущенных сообщениях (ms)
+ * @param {boolean} [config.resetHistory] - Сбросить историю сообщений
+ */
+function applySuppressionConfig(state, config = {}) {
+  const keys = Object.keys(config);
+
+  if (config.enabled !== undefined) state.config.enabled = config.enabled;
+  else if (
+    !keys.length ||
+    keys.some((key) => REPEAT_SUPPRESSION_KEYS.includes(key))
+  ) {
+    state.config.enabled = true;
+  }
+
+  if (config.timeout !== undefined) {
+    state.config.timeout = config.timeout || DEFAULT_SUPPRESSION.timeout;
+  }
+  if (config.showCounter !== undefined) {
+    state.config.showCounter = config.showCounter;
+  }
+
+  ["maxEntries", "normalize", "locale", "summary", "summaryInterval"].forEach(
+    (key) => {
+      if (config.hasOwnProperty(key)) state.config[key] = config[key];
+    }
+  );
+
+  // Новые ограничения начинают отсчет заново
+  if (config.hasOwnProperty("limits")) {
+    state.config.limits = config.limits;
+    state.buckets.clear();
+  }
+
+  // При выключении накопленные повторы выводятся сразу
+  if (!state.config.enabled) flushSuppression(state);
+
+  // Сброс истории при изменении конфигурации
+  if (config.resetHistory) resetSuppressionState(state);
+}
+
+/**
+ * Приводит текст к ключу сравнения
+ * @param {string} text - Текст лога
+ * @param {boolean|Function|Array} normalize - Настройка нормализации
+ * @returns {string} Нормализованный текст
+ *
+ * @example
+ * normalizeMessage('retry 2/5 (id 7f3c…)', true) // 'retry <n>/<n> (id 7f3c…)'
+ */
+function normalizeMessage(text, normalize) {
+  if (!normalize) return text;
+  if (typeof normalize === "function") return `${normalize(text)}`;
+
+  const rules = Array.isArray(normalize) ? normalize : NORMALIZE_RULES;
+  return rules.reduce(
+    (result, [pattern, replacement]) => result.replace(pattern, replacement),
+    text
+  );
+}
+
+/**
+ * Выбирает итоговую строку языка: шаблон или функцию
+ * Неизвестный язык и некорректные записи заменяются встроенными строками
+ * @param {string} locale - Язык (ключ SUPPRESSION_MESSAGES)
+ * @param {string} kind - 'repeat' или 'dropped'
+ * @returns {string|Function} Шаблон или функция
+ */
+function getSuppressionMessage(locale, kind) {
+  const entry = Object.prototype.hasOwnProperty.call(
+    SUPPRESSION_MESSAGES,
+    locale
+  )
+    ? SUPPRESSION_MESSAGES[locale]
+    : SUPPRESSION_MESSAGES.ru;
+  const value =
+    typeof entry === "string"
+      ? kind === "repeat"
+        ? entry
+        : null
+      : entry && Object.prototype.hasOwnProperty.call(entry, kind)
+      ? entry[kind]
+      : null;
+
+  return typeof value === "string" || typeof value === "function"
+    ? value
+    : FALLBACK_MESSAGES[kind];
+}
+
+/**
+ * Собирает итоговую строку о повторах
+ * @param {Object} config - Конфигурация подавления
+ * @param {Object} entry - Окно сообщения {type, text, msg}
+ * @param {number} count - Число повторов
+ * @returns {string} Строка, например '[Повторён 3 раз]'
+ */
+function formatSuppressionSummary(config, entry, count) {
+  const template =
+    config.summary || getSuppressionMessage(config.locale, "repeat");
+
+  if (typeof template === "function") return `${template(count, entry)}`;
+
+  return `${template}`
+    .replace(/\{count\}/g, count)
+    .replace(/\{type\}/g, entry.type)
+    .replace(/\{text\}/g, entry.msg ?? stripAnsi(entry.text));
+}
+
+/**
+ * Забирает накопленные повторы окна и останавливает его таймер
+ * @param {Object} state - Состояние подавления
+ * @param {Object} entry - Окно сообщения
+ * @returns {number} Число повторов, о которых нужно сообщить
+ */
+function takeRepeats(state, entry) {
+  state.clock.clearTimeout(entry.timer);
+  entry.timer = null;
+
+  const count = entry.count;
+  entry.count = 0;
+
+  state.pending.delete(entry);
+  updatePending(state);
+
+  return state.config.showCounter ? count : 0;
+}
+
+/**
+ * Закрывает окно сообщения и выводит итог повторов
+ * @param {Object} state - Состояние подавления
+ * @param {Object} entry - Окно сообщения
+ */
+function closeEntry(state, entry) {
+  if (state.entries.get(entry.key) === entry) state.entries.delete(entry.key);
+
+  const count = takeRepeats(state, entry);
+  if (count && state.onFlush) state.onFlush(entry, count);
+}
+
+/**
+ * Удаляет окно сообщения без вывода итогов
+ * @param {Object} state - Состояние подавления
+ * @param {Object} entry - Окно сообщения
+ */
+function discardEntry(state, entry) {
+  takeRepeats(state, entry);
+  if (state.entries.get(entry.key) === entry) state.entries.delete(entry.key);
+}
+
+/**
+ * Выводит итоги всех окон с накопленными повторами
+ * @param {Object} state - Состояние подавления
+ */
+function flushSuppression(state) {
+  [...state.pending].forEach((entry) => closeEntry(state, entry));
+  reportDropped(state);
+}
+
+/**
+ * Сбрасывает историю сообщений без вывода итогов
+ * @param {Object} state - Состояние подавления
+ */
+function resetSuppressionState(state) {
+  state.entries.forEach((entry) => state.clock.clearTimeout(entry.timer));
+  state.entries.clear();
+  state.pending.clear();
+  state.buckets.clear();
+  state.clock.clearTimeout(state.dropTimer);
+  state.dropTimer = null;
+  state.dropped = {};
+  state.droppedTotal = {};
+  pendingSuppression.delete(state);
+}
+
+/**
+ * Отмечает окно как накопившее повторы: итог будет выведен по таймеру
+ * в момент закрытия окна или при завершении процесса
+ * @param {Object} state - Состояние подавления
+ * @param {Object} entry - Окно сообщения
+ */
+function schedulePending(state, entry) {
+  state.pending.add(entry);
+  updatePending(state);
+
+  const left = state.config.timeout - (state.clock.now() - entry.printedAt);
+  entry.timer = state.clock.setTimeout(
+    () => closeEntry(state, entry),
+    Math.max(0, left)
+  );
+}
+
+/**
+ * Проверяет, является ли лог повторением
+ * У каждого сообщения свое окно: повторы в течение timeout после вывода
+ * подавляются, а при закрытии окна выводится итог
+ * @param {Object} state - Состояние подавления экземпляра логгера
+ * @param {string} type - Тип лога (debug, info, etc.)
+ * @param {string} text - Текст лога
+ * @returns {Object} {isRepeat: boolean, count: number, flushed: number, entry: Object, closed: Object}
+ * где flushed - число накопленных повторов закрытого окна closed, о которых нужно сообщить
+ */
+function checkIfRepeat(state, type, text) {
+  const { config, entries } = state;
+
+  if (!config.enabled) {
+    return { isRepeat: false, count: 0, flushed: 0, entry: null, closed: null };
+  }
+
+  const now = state.clock.now();
+  const key = `${type}:${normalizeMessage(text, config.normalize)}`;
+  const entry = entries.get(key);
+
+  // Повтор внутри окна сообщения
+  if (entry && now - entry.printedAt < config.timeout) {
+    entry.count++;
+
+    // Недавно использованные окна вытесняются последними
+    entries.delete(key);
+    entries.set(key, entry);
+
+    if (!entry.timer) schedulePending(state, entry);
+    return {
+      isRepeat: true,
+      count: entry.count,
+      flushed: 0,
+      entry,
+      closed: null,
+    };
+  }
+
+  // Окно закрылось, а таймер еще не сработал: итог выводится перед сообщением
+  let flushed = 0;
+  if (entry) {
+    flushed = takeRepeats(state, entry);
+    entries.delete(key);
+  }
+
+  const created = {
+    key,
+    type,
+    text,
+    msg: null, // Текст без разметки и ANSI кодов (задается при выводе)
+    printedAt: now,
+    count: 0,
+    timer: null,
+  };
+  entries.set(key, created);
+
+  // Вытеснение самых старых окон сверх лимита
+  while (entries.size > Math.max(1, config.maxEntries || 0)) {
+    closeEntry(state, entries.values().next().value);
+  }
+
+  return { isRepeat: false, count: 0, flushed, entry: created, closed: entry };
+}
+
+/**
+ * Адрес этого модуля: его кадры пропускаются при поиске места вызова
+ * @constant {string}
+ */
+const MODULE_URL = import.meta.url;
+
+/**
+ * Определяет место вызова логгера по стеку
+ * @returns {string} Первый кадр стека вне модуля, например 'file:///app/worker.js:42:11'
+ */
+function getCallSite() {
+  const frame = `${new Error().stack}`
+    .split("\n")
+    .slice(1)
+    .find((line) => !line.includes(MODULE_URL));
+
+  return frame ? frame.trim().replace(/^at\s+/, "") : "";
+}
+
+/**
+ * Выводит итоги о сообщениях, пропущенных ограничением частоты
+ * @param {Object} state - Состояние подавления
+ */
+function reportDropped(state) {
+  state.clock.clearTimeout(state.dropTimer);
+  state.dropTimer = null;
+
+  const dropped = state.dropped;
+  const seconds = Math.max(
+    1,
+    Math.round((state.clock.now() - state.droppedSince) / 1000)
+  );
+  state.dropped = {};
+  updatePending(state);
+
+  Object.entries(dropped).forEach(([level, count]) => {
+    if (state.onDropped) state.onDropped(level, count, seconds);
+  });
+}
+
+/**
+ * Учитывает пропущенное сообщение и планирует итог
+ * @param {Object} state - Состояние подавления
+ * @param {string} level - Уровень сообщения
+ */
+function recordDropped(state, level) {
+  state.dropped[level] = (state.dropped[level] || 0) + 1;
+  state.droppedTotal[level] = (state.droppedTotal[level] || 0) + 1;
+
+  if (!state.dropTimer) {
+    state.droppedSince = state.clock.now();
+    state.dropTimer = state.clock.setTimeout(
+      () => reportDropped(state),
+      state.config.summaryInterval
+    );
+    updatePending(state);
+  }
+}
+
+/**
+ * Собирает итоговую строку о пропущенных сообщениях
+ * @param {Object} config - Конфигурация подавления
+ * @param {string} level - Уровень
+ * @param {number} count - Число пропущенных
+ * @param {number} seconds - Длительность периода (s)
+ * @returns {string} Строка, например '[Dropped 1,204 debug messages in last 5s]'
+ */
+function formatDroppedSummary(config, level, count, seconds) {
+  const template = getSuppressionMessage(config.locale, "dropped");
+  if (typeof template === "function") {
+    return `${template(count, level, seconds)}`;
+  }
+
+  const locale = Object.prototype.hasOwnProperty.call(
+    SUPPRESSION_MESSAGES,
+    config.locale
+  )
+    ? config.locale
+    : "ru";
+
+  // Ключ языка может не быть корректным языковым тегом
+  let amount;
+  try {
+    amount = count.toLocaleString(locale);
+  } catch (e) {
+    amount = `${count}`;
+  }
+
+  return template
+    .replace(/\{count\}/g, amount)
+    .replace(/\{level\}/g, level)
+    .replace(/\{seconds\}/g, seconds);
+}
+
+/**
+ * Проверяет ограничения частоты для уровня сообщения
+ *
+ * Политика уровня (ключ - имя уровня или '*' для остальных) может сочетать:
+ * - first, every - первые N сообщений, затем каждое M-е
+ * - sample - доля выводимых сообщений (0.1 - каждое десятое в среднем)
+ * - rate, interval, burst - token bucket: rate сообщений за interval ms (1000),
+ *   не больше burst подряд (по умолчанию rate)
+ * - perCallSite - отдельные счетчики для каждого места вызова
+ * @param {Object} state - Состояние подавления
+ * @param {string} level - Уровень сообщения
+ * @returns {boolean} true, если сообщение можно вывести
+ *
+ * @example
+ * // limits: { debug: { rate: 50 }, trace: { sample: 0.1 }, warn: { first: 10, every: 100 } }
+ */
+function checkRateLimit(state, level) {
+  const limits = state.config.limits;
+  const policy = limits && (limits[level] || limits["*"]);
+  if (!policy) return true;
+
+  const now = state.clock.now();
+  const key = policy.perCallSite ? `${level}:${getCallSite()}` : level;
+  let bucket = state.buckets.get(key);
+
+  if (!bucket) {
+    bucket = { seen: 0, tokens: policy.burst ?? policy.rate, updatedAt: now };
+    state.buckets.set(key, bucket);
+
+    // Мест вызова может быть много: старые счетчики вытесняются
+    if (state.buckets.size > Math.max(1, state.config.maxEntries || 0)) {
+      state.buckets.delete(state.buckets.keys().next().value);
+    }
+  }
+
+  bucket.seen++;
+  let allowed = true;
+
+  // Первые N, затем каждое M-е
+  if (policy.first !== undefined || policy.every !== undefined) {
+    const first = policy.first ?? 0;
+    allowed =
+      bucket.seen <= first ||
+      (policy.every > 0 && (bucket.seen - first) % policy.every === 0);
+  }
+
+  // Вероятностная выборка
+  if (allowed && policy.sample !== undefined) {
+    allowed = Math.random() < policy.sample;
+  }
+
+  // Token bucket: запас пополняется со скоростью rate за interval
+  if (allowed && policy.rate !== undefined) {
+    const capacity = policy.burst ?? policy.rate;
+    const refill =
+      ((now - bucket.updatedAt) / (policy.interval ?? 1000)) * policy.rate;
+    bucket.tokens = Math.min(capacity, bucket.tokens + refill);
+    bucket.updatedAt = now;
+
+    if (bucket.tokens >= 1) bucket.tokens -= 1;
+    else allowed = false;
+  }
+
+  if (!allowed) recordDropped(state, level);
+  return allowed;
+}
+
+// =============================================================================
+// УРОВНИ ЛОГИРОВАНИЯ
+// =============================================================================
+
+/**
+ * Числовые уровни важности сообщений
+ * @constant {Object}
+ * @property {number} trace - Трассировка (10)
+ * @property {number} debug - Отладка (20)
+ * @property {number} info - Информация (30)
+ * @property {number} warn - Предупреждение (40)
+ * @property {number} error - Ошибка (50)
+ * @property {number} fatal - Критическая ошибка (60)
+ * @property {number} silent - Полное отключение вывода (Infinity)
+ */
+export const LEVELS = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60,
+  silent: Infinity,
+};
+
+/**
+ * Уровень, на котором выводят методы без собственного уровня
+ * @constant {Object}
+ */
+const METHOD_LEVELS = {
+  trace: "trace",
+  debug: "debug",
+  info: "info",
+  warn: "warn",
+  error: "error",
+  fatal: "fatal",
+  print: "info",
+  custom: "info",
+  log: "info",
+  table: "info",
+  box: "info",
+  section: "info",
+  gradient: "info",
+  progress: "info",
+  spinner: "info",
+};
+
+/**
+ * Приводит уровень к числовому значению
+ * @param {string|number} level - Имя уровня ('debug', 'WARN') или число
+ * @returns {number} Числовое значение уровня
+ * @throws {Error} Если уровень неизвестен
+ *
+ * @example
+ * resolveLevel('warn') // returns 40
+ * resolveLevel(25) // returns 25
+ */
+function resolveLevel(level) {
+  if (typeof level === "number" && !isNaN(level)) return level;
+
+  const key = `${level}`.trim().toLowerCase();
+  if (LEVELS.hasOwnProperty(key)) return LEVELS[key];
+
+  throw new Error(`Неизвестный уровень логирования: ${level}`);
+}
+
+/**
+ * Читает минимальный уровень из переменной окружения LOG_LEVEL
+ * @returns {string|undefined} Значение переменной или undefined
+ */
+function getEnvLevel() {
+  const env = globalThis.process?.env;
+  return env?.LOG_LEVEL || undefined;
+}
+
+// =============================================================================
+// ШАБЛОНЫ СТРОК
+// =============================================================================
+
+/**
+ * Стили меток уровней для токена {level:badge} в формате prepareObject
+ * @constant {Object}
+ */
+const LEVEL_BADGES = {
+  trace: { color: "black", background: "white" },
+  debug: { color: "white", background: "blue" },
+  info: { color: "black", background: "cyan" },
+  warn: { color: "black", background: "yellow" },
+  error: { color: "white", background: "red" },
+  fatal: { color: "white", background: "magenta", style: "bold" },
+};
+
+/**
+ * Имя хоста, вычисляется при первом обращении или задается setHostname
+ * @type {string|null}
+ */
+let cachedHostname = null;
+
+/**
+ * Задает имя хоста для токена {hostname}
+ * Точка входа node.js передает сюда os.hostname(), основной
+ * модуль не импортирует модули Node.js
+ * @param {string} name - Имя хоста
+ *
+ * @example
+ * setHostname('api-01')
+ */
+export function setHostname(name) {
+  cachedHostname = `${name ?? ""}`;
+}
+
+/**
+ * Возвращает имя хоста без статического импорта модулей Node.js
+ * Без setHostname используется process.getBuiltinModule (Node.js 20.16+),
+ * затем переменные окружения HOSTNAME и COMPUTERNAME
+ * @returns {string} Имя хоста или пустая строка
+ */
+function getHostname() {
+  if (cachedHostname !== null) return cachedHostname;
+
+  const proc = globalThis.process;
+  let hostname = "";
+  try {
+    hostname = proc?.getBuiltinModule?.("os")?.hostname() || "";
+  } catch (e) {
+    hostname = "";
+  }
+
+  cachedHostname =
+    hostname || proc?.env?.HOSTNAME || proc?.env?.COMPUTERNAME || "";
+
+  return cachedHostname;
+}
+
+/**
+ * Форматирует время записи
+ * @param {number} time - Время записи (ms)
+ * @param {string} [format='HH:mm:ss.SSS'] - 'iso', 'epoch', 'relative' или шаблон из YYYY, MM, DD, HH, mm, ss, SSS
+ * @param {number} [start=0] - Точка отсчета для формата 'relative'
+ * @returns {string} Отформатированное время
+ *
+ * @example
+ * formatTime(Date.now(), 'HH:mm:ss') // '14:03:27'
+ * formatTime(Date.now(), 'iso') // '2024-05-01T11:03:27.123Z'
+ * formatTime(start + 1500, 'relative', start) // '+1500ms'
+ */
+function formatTime(time, format = "HH:mm:ss.SSS", start = 0) {
+  const key = format.toLowerCase();
+  if (key === "iso") return new Date(time).toISOString();
+  if (key === "epoch") return `${time}`;
+  if (key === "relative") return `+${time - start}ms`;
+
+  const date = new Date(time);
+  const pad = (value, size = 2) => `${value}`.padStart(size, "0");
+  const parts = {
+    YYYY: date.getFullYear(),
+    MM: pad(date.getMonth() + 1),
+    DD: pad(date.getDate()),
+    HH: pad(date.getHours()),
+    mm: pad(date.getMinutes()),
+    ss: pad(date.getSeconds()),
+    SSS: pad(date.getMilliseconds(), 3),
+  };
+
+  return format.replace(/YYYY|MM|DD|HH|mm|ss|SSS/g, (token) => parts[token]);
+}
+
+/**
+ * Оборачивает значение в стиль формата prepareObject
+ * @param {string} value - Текст
+ * @param {Object} [style] - Стиль {color, background, style, gradient}
+ * @returns {string} Текст с ANSI кодами
+ */
+function applyStyle(value, style) {
+  if (!style || !value) return value;
+  if (style.gradient) value = applyGradient(value, style.gradient);
+
+  const { args } = prepareObject(style);
+  if (!args.length) return value;
+
+  return `${prefix}${args.join(";")}${postfix}${value}${reset}`;
+}
+
+/**
+ * Подставляет значения в шаблон строки лога
+ * Токены: {msg}, {level}, {level:badge}, {level:lower}, {level:pad}, {name}, {pid},
+ * {hostname}, {delta}, {time}, {time:iso}, {time:epoch}, {time:relative}, {time:HH:mm:ss}
+ * @param {string} template - Шаблон строки
+ * @param {Object} data - Данные {msg, level, time, name, start, delta}
+ * @param {Object} [styles={}] - Стили токенов в формате prepareObject, ключ - имя токена
+ * @param {Object} [badges=LEVEL_BADGES] - Стили меток уровней
+ * @returns {string} Готовая строка
+ *
+ * @example
+ * formatTemplate('{time:HH:mm:ss} {level:badge} [{name}] {msg}', data, {
+ *   time: { style: 'dim' },
+ *   name: { color: 'cyan', style: 'bold' }
+ * })
+ */
+function formatTemplate(template, data, styles = {}, badges = LEVEL_BADGES) {
+  return template.replace(/\{(\w+)(?::([^}]*))?\}/g, (token, key, arg) => {
+    let value;
+
+    switch (key) {
+      case "msg":
+        return data.msg;
+      case "level":
+        if (arg === "badge") {
+          const label = ` ${data.level.toUpperCase().padEnd(5)} `;
+          return applyStyle(label, badges[data.level]);
+        }
+        value =
+          arg === "lower"
+            ? data.level
+            : data.level.toUpperCase().padEnd(arg === "pad" ? 5 : 0);
+        break;
+      case "name":
+        value = data.name || "";
+        break;
+      case "pid":
+        value = `${globalThis.process?.pid ?? ""}`;
+        break;
+      case "hostname":
+        value = getHostname();
+        break;
+      case "time":
+        value = formatTime(data.time, arg, data.start);
+        break;
+      case "delta":
+        value = formatDelta(data.delta || 0);
+        break;
+      default:
+        return token;
+    }
+
+    return applyStyle(value, styles[key]);
+  });
+}
+
+// =============================================================================
+// ТРАНСПОРТЫ
+// =============================================================================
+
+/**
+ * Запись лога, передаваемая транспортам
+ * @typedef {Object} LogRecord
+ * @property {string} level - Имя уровня (trace, debug, info, warn, error, fatal)
+ * @property {string} type - Тип записи: метод логгера, 'summary' для итога повторов
+ *   или 'dropped' для итога пропущенных ограничением частоты
+ * @property {string} text - Исходный текст сообщения
+ * @property {string} msg - Текст без разметки и ANSI кодов
+ * @property {string} formatted - Отформатированный текст с ANSI кодами
+ * @property {Object} [fields] - Дополнительные поля записи
+ * @property {Error} [error] - Ошибка, переданная вместо текста
+ * @property {number} time - Время создания записи (ms)
+ * @property {string|null} name - Имя логгера
+ * @property {number} count - Число повторов сообщения (0, если повторов нет)
+ * @property {boolean} force - Признак принудительного вывода
+ * @property {number|null} colorLevel - Уровень цвета, заданный логгеру явно
+ * @property {string} format - Формат вывода логгера ('pretty' или 'json')
+ */
+
+/**
+ * Форматы вывода записей
+ * @constant {Array}
+ */
+const FORMATS = ["pretty", "json"];
+
+/**
+ * Проверяет и нормализует формат вывода
+ * @param {string} format - 'pretty' или 'json'
+ * @returns {string} Нормализованный формат
+ * @throws {Error} Если формат неизвестен
+ */
+function resolveFormat(format) {
+  const key = `${format}`.trim().toLowerCase();
+  if (FORMATS.includes(key)) return key;
+
+  throw new Error(`Неизвестный формат вывода: ${format}`);
+}
+
+/**
+ * Читает формат вывода из переменной окружения LOG_FORMAT
+ * @returns {string|undefined} Значение переменной или undefined
+ */
+function getEnvFormat() {
+  const env = globalThis.process?.env;
+  return env?.LOG_FORMAT || undefined;
+}
+
+/**
+ * Проверяет, является ли значение простым объектом (полями записи)
+ * @param {*} value - Значение
+ * @returns {boolean} true для объектов-литералов
+ */
+function isPlainObject(value) {
+  if (!value || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Преобразует запись в объект для JSON вывода
+ * @param {LogRecord} record - Запись лога
+ * @returns {Object} Объект {level, time, name, msg, repeat, fields, err}
+ *
+ * @example
+ * serializeRecord(record)
+ * // {level: 'warn', time: '2024-01-01T00:00:00.000Z', msg: 'Диск заполнен', repeat: 3}
+ */
+export function serializeRecord(record) {
+  const data = {
+    level: record.level,
+    time: new Date(record.time).toISOString(),
+  };
+
+  if (record.name) data.name = record.name;
+  data.msg = record.msg;
+
+  // Итог подавления: сколько повторов не было выведено
+  if (record.type === "summary") data.suppressed = record.count;
+  else if (record.type === "dropped") data.dropped = record.count;
+  else if (record.count) data.repeat = record.count;
+
+  if (record.fields) data.fields = record.fields;
+  if (record.error) data.err = serializeError(record.error);
+
+  return data;
+}
+
+/**
+ * Превращает запись в строку для вывода
+ * @param {LogRecord} record - Запись лога
+ * @param {number} colorLevel - Уровень цвета для формата pretty
+ * @param {string} [format=record.format] - Формат: 'pretty' или 'json'
+ * @returns {string} Строка NDJSON или текст с ANSI кодами
+ */
+export function renderRecord(record, colorLevel, format = record.format) {
+  if (format === "json") {
+    return JSON.stringify(serializeRecord(record));
+  }
+
+  return downsampleAnsi(record.formatted, colorLevel);
+}
+
+/**
+ * Выбирает уровень цвета для записи: настройка транспорта, затем логгера,
+ * затем автоопределение
+ * @param {number|null} own - Уровень, заданный транспорту
+ * @param {LogRecord} record - Запись лога
+ * @param {Function} detect - Функция автоопределения
+ * @returns {number} Уровень из COLOR_LEVELS
+ */
+function pickColorLevel(own, record, detect) {
+  if (own !== null) return own;
+  if (record.colorLevel !== null && record.colorLevel !== undefined) {
+    return record.colorLevel;
+  }
+  return detect();
+}
+
+/**
+ * Проверяет, выполняется ли код в браузере (окно или воркер), а не в Node.js
+ * @returns {boolean} true в браузере
+ */
+function isBrowser() {
+  if (globalThis.process?.versions?.node) return false;
+
+  return (
+    typeof globalThis.document !== "undefined" ||
+    typeof globalThis.importScripts === "function"
+  );
+}
+
+/**
+ * Транспорт в консоль: метод консоли выбирается по типу записи
+ * В браузере ANSI коды заменяются стилями %c (см. ansiToConsoleArgs)
+ * @param {Object} [options={}] - Настройки
+ * @param {Object} [options.console=console] - Объект с методами debug/info/warn/error/log
+ * @param {string|number} [options.colorLevel='auto'] - Уровень цвета
+ * @param {string} [options.format] - Формат вывода (по умолчанию формат логгера)
+ * @param {boolean} [options.browser] - Вывод со стилями %c (по умолчанию определяется по окружению)
+ * @param {string|Object} [options.theme='dark'] - Палитра базовых цветов для браузера
+ * @returns {Object} Транспорт {write, isTTY}
+ *
+ * @example
+ * createLogger({ transports: [createConsoleTransport({ colorLevel: 'none' })] })
+ */
+export function createConsoleTransport(options = {}) {
+  const target = options.console || console;
+  const colorLevel = resolveColorLevel(options.colorLevel ?? "auto");
+  const format = options.format ? resolveFormat(options.format) : undefined;
+  const browser = options.browser ?? isBrowser();
+
+  if (browser) {
+    const theme = resolveHtmlTheme(options.theme);
+
+    return {
+      write(record) {
+        const method = OUTPUT_METHODS[record.type] || record.level;
+
+        // Консоль браузера поддерживает любые цвета CSS
+        const level = pickColorLevel(
+          colorLevel,
+          record,
+          () => COLOR_LEVELS.truecolor
+        );
+        const line = renderRecord(record, level, format);
+
+        target[method](...ansiToConsoleArgs(line, { theme }));
+      },
+    };
+  }
+
+  // Автоопределение выполняется один раз для каждого потока консоли
+  const detectedLevels = {
+    stdout: detectColorLevel(globalThis.process?.stdout),
+    stderr: detectColorLevel(globalThis.process?.stderr),
+  };
+
+  return {
+    write(record) {
+      const method = OUTPUT_METHODS[record.type] || record.level;
+
+      // console.warn и console.error пишут в stderr
+      const stream =
+        target === console && (method === "warn" || method === "error")
+          ? "stderr"
+          : "stdout";
+      const level = pickColorLevel(
+        colorLevel,
+        record,
+        () => detectedLevels[stream]
+      );
+
+      target[method](renderRecord(record, level, format));
+    },
+
+    // Глобальная консоль Node.js пишет в терминал, если stdout или stderr - TTY
+    isTTY:
+      target === console &&
+      Boolean(
+        globalThis.process?.stdout?.isTTY || globalThis.process?.stderr?.isTTY
+      ),
+  };
+}
+
+/**
+ * Транспорт в записываемый поток Node.js (строка на запись)
+ * @param {Object} [options={}] - Настройки
+ * @param {Object} [options.stream=process.stdout] - Основной поток
+ * @param {Object} [options.errorStream] - Поток для warn и выше (по умолчанию stream)
+ * @param {string|number} [options.colorLevel='auto'] - Уровень цвета
+ * @param {string} [options.eol='\n'] - Разделитель строк
+ * @param {string} [options.format] - Формат вывода (по умолчанию формат логгера)
+ * @returns {Object} Транспорт {write, isTTY}
+ *
+ * @example
+ * createStreamTransport({ stream: process.stdout, errorStream: process.stderr })
+ */
+export function createStreamTransport(options = {}) {
+  const stream = options.stream || globalThis.process?.stdout;
+  const errorStream = options.errorStream || stream;
+  const colorLevel = resolveColorLevel(options.colorLevel ?? "auto");
+  const eol = options.eol ?? "\n";
+  const format = options.format ? resolveFormat(options.format) : undefined;
+
+  const detectedLevels = new Map();
+
+  /**
+   * Уровень цвета потока с кэшированием результата
+   * @param {Object} target - Поток
+   * @returns {number} Уровень из COLOR_LEVELS
+   */
+  const detect = (target) => {
+    if (!detectedLevels.has(target)) {
+      detectedLevels.set(target, detectColorLevel(target));
+    }
+    return detectedLevels.get(target);
+  };
+
+  return {
+    write(record) {
+      const target = LEVELS[record.level] >= LEVELS.warn ? errorStream : stream;
+      const level = pickColorLevel(colorLevel, record, () => detect(target));
+
+      target.write(renderRecord(record, level, format) + eol);
+    },
+
+    // Вывод в терминал выполняется над живыми строками прогресса
+    isTTY: Boolean(stream?.isTTY || errorStream?.isTTY),
+  };
+}
+
+/**
+ * Транспорт в память: сохраняет записи в массив
+ * @param {Object} [options={}] - Настройки
+ * @param {number} [options.limit=Infinity] - Максимальное число хранимых записей
+ * @returns {Object} Транспорт {write, records, lines, clear}
+ *
+ * @example
+ * const memory = createMemoryTransport({ limit: 100 })
+ * const logger = createLogger({ transports: [memory] })
+ * logger.warn('Осторожно')
+ * memory.lines() // ['Осторожно']
+ */
+export function createMemoryTransport(options = {}) {
+  const limit = options.limit ?? Infinity;
+  const records = [];
+
+  return {
+    records,
+
+    write(record) {
+      records.push(record);
+      if (records.length > limit) records.splice(0, records.length - limit);
+    },
+
+    /**
+     * Тексты сохраненных записей
+     * @param {string|number|boolean} [colorLevel='none'] - Уровень цвета строк
+     * @param {string} [format] - Формат строк (по умолчанию формат записи)
+     * @returns {Array} Массив строк
+     */
+    lines(colorLevel = "none", format) {
+      const level = resolveColorLevel(colorLevel);
+      return records.map((record) => renderRecord(record, level, format));
+    },
+
+    /**
+     * Очищает сохраненные записи
+     */
+    clear() {
+      records.length = 0;
+    },
+  };
+}
+
+// =============================================================================
+// ПРОСТРАНСТВА ИМЕН ОТЛАДКИ
+// =============================================================================
+
+/**
+ * Цвета палитры 256 цветов для пространств имен (хорошо различимые)
+ * @constant {Array}
+ */
+const NAMESPACE_COLORS = [
+  20, 21, 26, 27, 32, 33, 38, 39, 40, 41, 42, 43, 44, 45, 56, 57, 62, 63, 68,
+  69, 74, 75, 76, 77, 78, 79, 80, 81, 92, 93, 98, 99, 112, 113, 128, 129, 134,
+  135, 148, 149, 160, 161, 162, 163, 164, 165, 166, 167, 168, 169, 170, 171,
+  172, 173, 178, 179, 184, 185, 196, 197, 198, 199, 200, 201, 202, 203, 204,
+  205, 206, 207, 208, 209, 214, 215, 220, 221,
+];
+
+/**
+ * Текущие шаблоны включения/исключения пространств имен
+ * @type {Object}
+ */
+const namespacePatterns = { source: "", include: [], exclude: [] };
+
+/**
+ * Превращает шаблон с '*' в регулярное выражение
+ * @param {string} pattern - Шаблон, например 'db:*'
+ * @returns {RegExp} Регулярное выражение на всю строку
+ */
+function namespaceToRegExp(pattern) {
+  const escaped = pattern
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*?");
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Включает пространства имен по списку шаблонов (заменяет текущий список)
+ * @param {string} patterns - Шаблоны через запятую или пробел, '-' в начале исключает
+ *
+ * @example
+ * enableNamespaces('db:*,-db:verbose') // все db:*, кроме db:verbose
+ * enableNamespaces('*') // все пространства имен
+ */
+export function enableNamespaces(patterns = "") {
+  namespacePatterns.source = patterns;
+  namespacePatterns.include = [];
+  namespacePatterns.exclude = [];
+
+  `${patterns}`
+    .split(/[\s,]+/)
+    .filter((i) => i.length)
+    .forEach((pattern) => {
+      if (pattern.startsWith("-")) {
+        namespacePatterns.exclude.push(namespaceToRegExp(pattern.slice(1)));
+      } else {
+        namespacePatterns.include.push(namespaceToRegExp(pattern));
+      }
+    });
+}
+
+/**
+ * Выключает все пространства имен
+ * @returns {string} Предыдущий список шаблонов (для восстановления)
+ */
+export function disableNamespaces() {
+  const previous = namespacePatterns.source;
+  enableNamespaces("");
+  return previous;
+}
+
+/**
+ * Проверяет, включено ли пространство имен
+ * @param {string} namespace - Пространство имен, например 'db:pool'
+ * @returns {boolean} true, если вывод разрешен
+ */
+export function isNamespaceEnabled(namespace) {
+  if (namespacePatterns.exclude.some((i) => i.test(namespace))) return false;
+  return namespacePatterns.include.some((i) => i.test(namespace));
+}
+
+/**
+ * Выбирает стабильный цвет палитры 256 цветов по имени пространства
+ * @param {string} namespace - Пространство имен
+ * @returns {string} Индекс цвета в виде строки для getColorFromText
+ *
+ * @example
+ * namespaceColor('db:pool') // всегда один и тот же индекс, например '163'
+ */
+function namespaceColor(namespace) {
+  let hash = 0;
+  for (let i = 0; i < namespace.length; i++) {
+    hash = (hash << 5) - hash + namespace.charCodeAt(i);
+    hash |= 0;
+  }
+  return `${NAMESPACE_COLORS[Math.abs(hash) % NAMESPACE_COLORS.length]}`;
+}
+
+/**
+ * Форматирует интервал между строками: +12ms, +3s, +2m, +1h
+ * @param {number} ms - Интервал в миллисекундах
+ * @returns {string} Строка интервала
+ */
+function formatDelta(ms) {
+  if (ms >= 3600000) return `+${Math.round(ms / 3600000)}h`;
+  if (ms >= 60000) return `+${Math.round(ms / 60000)}m`;
+  if (ms >= 1000) return `+${Math.round(ms / 1000)}s`;
+  return `+${ms}ms`;
+}
+
+/**
+ * Время предыдущей строки каждого пространства имен
+ * @type {Map}
+ */
+const namespaceTimes = new Map();
+
+// Начальный список берется из переменной окружения DEBUG
+enableNamespaces(globalThis.process?.env?.DEBUG || "");
+
+// =============================================================================
+// ЖИВЫЕ СТРОКИ: ПРОГРЕСС И СПИННЕРЫ
+// =============================================================================
+
+/**
+ * Управляющие последовательности курсора для перерисовки живых строк
+ * @constant {Object}
+ */
+const CURSOR = {
+  up: `${prefix}1A`,
+  clearLine: `${prefix}2K`,
+  hide: `${prefix}?25l`,
+  show: `${prefix}?25h`,
+};
+
+/**
+ * Кадры спиннера по умолчанию
+ * @constant {Array}
+ */
+const SPINNER_FRAMES = ["⠋", "⠙", "⠹", "⠸", "⠼", "⠴", "⠦", "⠧", "⠇", "⠏"];
+
+/**
+ * Минимальный интервал между перерисовками живой области (ms)
+ * @constant {number}
+ */
+const LIVE_REDRAW_INTERVAL = 50;
+
+/**
+ * Живые области по потокам вывода
+ * @type {Map}
+ */
+const liveAreas = new Map();
+
+/**
+ * Создает живую область: набор строк внизу терминала, которые
+ * перерисовываются на месте с помощью управляющих последовательностей
+ * @param {Object} stream - Поток TTY
+ * @returns {Object} Область {add, remove, update, clear, draw}
+ */
+function createLiveArea(stream) {
+  const items = [];
+  let drawn = 0;
+  let lastDraw = 0;
+  let dirty = false;
+  let timer = null;
+
+  const area = {
+    /**
+     * Стирает нарисованные строки, курсор остается в начале первой
+     */
+    clear() {
+      if (!drawn) return;
+      stream.write(
+        `\r${CURSOR.clearLine}` +
+          `${CURSOR.up}${CURSOR.clearLine}`.repeat(drawn - 1)
+      );
+      drawn = 0;
+    },
+
+    /**
+     * Перерисовывает все строки области
+     */
+    draw() {
+      area.clear();
+      dirty = false;
+      lastDraw = Date.now();
+      if (!items.length) return;
+
+      const width = (stream.columns || getTerminalWidth()) - 1;
+      const lines = items.map((item) => truncate(item.render(), width));
+      stream.write(lines.join("\n"));
+      drawn = lines.length;
+    },
+
+    /**
+     * Перерисовка с ограничением частоты; отложенное обновление
+     * выполнит таймер области
+     */
+    update() {
+      if (Date.now() - lastDraw >= LIVE_REDRAW_INTERVAL) area.draw();
+      else dirty = true;
+    },
+
+    /**
+     * Добавляет элемент в область
+     * @param {Object} item - Элемент {render, animated}
+     */
+    add(item) {
+      if (!items.length) stream.write(CURSOR.hide);
+      items.push(item);
+      area.draw();
+
+      if (!timer) {
+        timer = setInterval(() => {
+          if (dirty || items.some((i) => i.animated)) area.draw();
+        }, LIVE_REDRAW_INTERVAL);
+        timer.unref?.();
+      }
+    },
+
+    /**
+     * Убирает элемент из области
+     * @param {Object} item - Элемент, переданный в add
+     */
+    remove(item) {
+      const index = items.indexOf(item);
+      if (index === -1) return;
+
+      items.splice(index, 1);
+      area.draw();
+
+      if (!items.length) {
+        clearInterval(timer);
+        timer = null;
+        stream.write(CURSOR.show);
+      }
+    },
+
+    /**
+     * @returns {boolean} true, если в области есть нарисованные строки
+     */
+    isDrawn: () => drawn > 0,
+  };
+
+  return area;
+}
+
+/**
+ * Возвращает живую область потока, создавая ее при первом обращении
+ * @param {Object} stream - Поток TTY
+ * @returns {Object} Живая область
+ */
+function getLiveArea(stream) {
+  if (!liveAreas.has(stream)) {
+    liveAreas.set(stream, createLiveArea(stream));
+
+    // Курсор возвращается, даже если процесс завершился посреди задачи
+    if (liveAreas.size === 1) {
+      globalThis.process?.once?.("exit", () => {
+        liveAreas.forEach((area, target) => {
+          if (area.isDrawn()) target.write(`\n${CURSOR.show}`);
+        });
+      });
+    }
+  }
+  return liveAreas.get(stream);
+}
+
+/**
+ * Выполняет вывод над живыми строками: стирает их, выполняет функцию
+ * и рисует строки заново под новым выводом
+ * Нужна транспортам, которые пишут в терминал вне вызова логгера
+ * @param {Function} fn - Функция вывода
+ */
+export function writeAboveLiveAreas(fn) {
+  const active = [...liveAreas.values()].filter((area) => area.isDrawn());
+  active.forEach((area) => area.clear());
+  try {
+    fn();
+  } finally {
+    active.forEach((area) => area.draw());
+  }
+}
+
+/**
+ * Форматирует длительность: 850ms, 12.3s, 2m05s
+ * @param {number} ms - Длительность в миллисекундах
+ * @returns {string} Строка длительности
+ */
+function formatDuration(ms) {
+  if (!Number.isFinite(ms)) return "∞";
+  if (ms < 1000) return `${Math.round(ms)}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}m${`${seconds % 60}`.padStart(2, "0")}s`;
+}
+
+/**
+ * Создает живой элемент: в TTY он рисуется в живой области,
+ * иначе его состояние выводится обычными строками не чаще interval
+ * @param {Object} output - Вывод {stream, colorLevel, redact(line), print(line)}
+ * @param {Function} render - Рендер строки элемента
+ * @param {Object} [options={}] - Опции {animated, interval}
+ * @returns {Object} Элемент {update, finish}
+ */
+function createLiveItem(output, render, options = {}) {
+  const stream = output.stream;
+  const isTTY = isTTYStream(stream);
+  const interval = options.interval ?? 1000;
+  let printed = null;
+  let printedAt = 0;
+
+  const item = {
+    animated: Boolean(options.animated),
+    render: () =>
+      downsampleAnsi(
+        output.redact ? output.redact(render()) : render(),
+        output.colorLevel ?? detectColorLevel(stream)
+      ),
+  };
+
+  // Без TTY состояние печатается целыми строками
+  const print = (forced) => {
+    const line = render();
+    if (line === printed) return;
+    if (!forced && Date.now() - printedAt < interval) return;
+
+    printed = line;
+    printedAt = Date.now();
+    output.print(line);
+  };
+
+  if (isTTY) getLiveArea(stream).add(item);
+  else print(true);
+
+  return {
+    update: () => (isTTY ? getLiveArea(stream).update() : print(false)),
+    finish: () => {
+      if (isTTY) getLiveArea(stream).remove(item);
+    },
+  };
+}
+
+/**
+ * Создает полосу прогресса
+ * @param {Object} output - Вывод {stream, colorLevel, print(line), done(line)}
+ * @param {Object} [options={}] - Опции
+ * @param {number} [options.total=100] - Конечное значение
+ * @param {string} [options.format='{bar} {percent} {value}/{total} {text}'] - Формат строки:
+ *   {bar}, {percent}, {value}, {total}, {elapsed}, {eta}, {rate}, {text}
+ * @param {number} [options.width=30] - Ширина полосы
+ * @param {string} [options.complete='█'] - Символ заполненной части
+ * @param {string} [options.incomplete='░'] - Символ незаполненной части
+ * @param {string} [options.color='green'] - Цвет заполненной части
+ * @param {string} [options.text=''] - Текст для {text}
+ * @param {number} [options.interval=1000] - Интервал строк без TTY (ms)
+ * @returns {Object} Полоса {tick, update, done, stop, value}
+ */
+function createProgressBar(output, options = {}) {
+  const total = options.total ?? 100;
+  const format = options.format ?? "{bar} {percent} {value}/{total} {text}";
+  const width = options.width ?? 30;
+  const complete = options.complete ?? "█";
+  const incomplete = options.incomplete ?? "░";
+  const color = options.color === undefined ? "green" : options.color;
+  const startedAt = Date.now();
+  let value = 0;
+  let text = options.text ?? "";
+  let finished = false;
+
+  const render = () => {
+    const ratio = total > 0 ? Math.min(1, Math.max(0, value / total)) : 1;
+    const filled = Math.round(ratio * width);
+    const elapsed = Date.now() - startedAt;
+    const rate = elapsed > 0 ? (value / elapsed) * 1000 : 0;
+    const tokens = {
+      bar:
+        colorizeByText(complete.repeat(filled), color) +
+        colorizeByText(incomplete.repeat(width - filled), "dim"),
+      percent: `${Math.floor(ratio * 100)}%`.padStart(4),
+      value: `${value}`,
+      total: `${total}`,
+      elapsed: formatDuration(elapsed),
+      eta: formatDuration(
+        rate > 0 ? ((total - value) / rate) * 1000 : Infinity
+      ),
+      rate: `${rate.toFixed(1)}/s`,
+      text,
+    };
+
+    return format
+      .replace(/\{(\w+)\}/g, (token, key) => tokens[key] ?? token)
+      .trimEnd();
+  };
+
+  const item = createLiveItem(output, render, options);
+
+  const bar = {
+    /**
+     * Увеличивает значение
+     * @param {number} [step=1] - Шаг
+     * @param {string} [label] - Новый текст для {text}
+     */
+    tick: (step = 1, label) => bar.update(value + step, label),
+
+    /**
+     * Задает значение
+     * @param {number} next - Новое значение
+     * @param {string} [label] - Новый текст для {text}
+     */
+    update: (next, label) => {
+      if (finished) return;
+      value = Math.min(total, next);
+      if (label !== undefined) text = label;
+      item.update();
+    },
+
+    /**
+     * Завершает прогресс и оставляет итоговую строку в выводе
+     * @param {string} [label] - Итоговый текст для {text}
+     */
+    done: (label) => {
+      if (finished) return;
+      if (label !== undefined) text = label;
+      bar.stop();
+      output.done(render());
+    },
+
+    /**
+     * Убирает полосу без итоговой строки
+     */
+    stop: () => {
+      if (finished) return;
+      finished = true;
+      item.finish();
+    },
+
+    get value() {
+      return value;
+    },
+  };
+
+  return bar;
+}
+
+/**
+ * Создает спиннер
+ * @param {Object} output - Вывод {stream, colorLevel, print(line), done(line, type)}
+ * @param {string} [text=''] - Текст рядом со спиннером
+ * @param {Object} [options={}] - Опции
+ * @param {Array} [options.frames] - Кадры анимации
+ * @param {string} [options.color='cyan'] - Цвет кадра
+ * @returns {Object} Спиннер {update, succeed, fail, stop}
+ */
+function createSpinner(output, text = "", options = {}) {
+  const frames = options.frames ?? SPINNER_FRAMES;
+  const color = options.color === undefined ? "cyan" : options.color;
+  const startedAt = Date.now();
+  let current = text;
+  let finished = false;
+
+  const render = () => {
+    const frame =
+      frames[Math.floor((Date.now() - startedAt) / 80) % frames.length];
+    return `${colorizeByText(frame, color)} ${current}`;
+  };
+
+  // Без TTY кадры не имеют смысла: печатается только текст
+  const item = createLiveItem(
+    output,
+    () => (isTTYStream(output.stream) ? render() : current),
+    { ...options, animated: true, interval: 0 }
+  );
+
+  const finish = (label, symbol, symbolColor, type) => {
+    if (finished) return;
+    spinner.stop();
+    output.done(
+      `${colorizeByText(symbol, symbolColor)} ${label ?? current}`,
+      type
+    );
+  };
+
+  const spinner = {
+    /**
+     * Меняет текст спиннера
+     * @param {string} label - Новый текст
+     */
+    update: (label) => {
+      if (finished) return;
+      current = label;
+      item.update();
+    },
+
+    /**
+     * Завершает спиннер успешно (уровень info)
+     * @param {string} [label] - Итоговый текст
+     */
+    succeed: (label) => finish(label, "✔", "green", "info"),
+
+    /**
+     * Завершает спиннер ошибкой (уровень error)
+     * @param {string} [label] - Итоговый текст
+     */
+    fail: (label) => finish(label, "✖", "red", "error"),
+
+    /**
+     * Убирает спиннер без итоговой строки
+     */
+    stop: () => {
+      if (finished) return;
+      finished = true;
+      item.finish();
+    },
+  };
+
+  return spinner;
+}
+
+/**
+ * Проверяет, что поток - терминал
+ * @param {Object} stream - Поток
+ * @returns {boolean} true для TTY
+ */
+function isTTYStream(stream) {
+  return Boolean(stream?.isTTY && typeof stream.write === "function");
+}
+
+// =============================================================================
+// МАСКИРОВАНИЕ СЕКРЕТОВ
+// =============================================================================
+
+/**
+ * Проверяет номер карты по алгоритму Луна
+ * @param {string} value - Номер с пробелами или дефисами
+ * @returns {boolean} true для корректного номера из 13-19 цифр
+ */
+function isLuhnValid(value) {
+  const digits = value.replace(/\D/g, "");
+  if (digits.length < 13 || digits.length > 19) return false;
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2) digit = digit * 2 > 9 ? digit * 2 - 9 : digit * 2;
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * Проверяет, похоже ли значение после Bearer на токен, а не на слово:
+ * в токене есть цифры, знаки или заглавные буквы не в начале
+ * Значения после заголовка Authorization маскируются всегда
+ * @param {string} match - Совпадение шаблона bearer
+ * @returns {boolean} true для токена
+ */
+function isBearerToken(match) {
+  if (!match.startsWith("Bearer")) return true;
+  return /[^A-Za-z]|.[A-Z]/.test(match.slice("Bearer".length).trim());
+}
+
+/**
+ * Встроенные шаблоны секретов. Группа secret, если она есть, ограничивает
+ * маскируемую часть совпадения; test отсеивает ложные совпадения
+ * Новые шаблоны можно добавить сюда и указывать по имени
+ * @constant {Object}
+ */
+export const REDACTION_PATTERNS = {
+  bearer: {
+    pattern:
+      /(?:\b[Aa]uthorization\s*[:=]\s*(?:(?:[Bb]earer|[Bb]asic|[Tt]oken)\s+)?|\bBearer\s+)(?<secret>[A-Za-z0-9\-._~+/]{8,}=*)/g,
+    test: isBearerToken,
+  },
+  jwt: {
+    pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+  },
+  aws: {
+    pattern:
+      /\b(?:(?:AKIA|ASIA)[0-9A-Z]{16}|aws_secret_access_key\s*[=:]\s*(?<secret>[A-Za-z0-9/+=]{40}))\b/g,
+  },
+  card: {
+    pattern: /\b(?:\d[ -]?){12,18}\d\b/g,
+    test: isLuhnValid,
+  },
+  email: {
+    pattern: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g,
+  },
+};
+
+/**
+ * Окончания имен полей объектов, значения которых маскируются целиком
+ * Сравнение без учета регистра, '-' и '_': apikey совпадает с api_key,
+ * x-api-key и apiKey, token - с accessToken и refresh_token
+ * @constant {Array}
+ */
+export const REDACTION_KEYS = [
+  "password",
+  "passwd",
+  "secret",
+  "token",
+  "authorization",
+  "cookie",
+  "apikey",
+];
+
+/**
+ * Служебные фрагменты строки: ANSI последовательности, экранирование,
+ * фигурные скобки, начало команды |c.red.…| и разделитель команд.
+ * Шаблоны применяются только к тексту между ними, чтобы не повредить
+ * разметку; скобки без известного тега (JSON) считаются текстом
+ * @constant {RegExp}
+ */
+const REDACTION_PROTECTED =
+  /\x1b\[[0-9;?]*[A-Za-z]|\\[\\{}|]|\{\/?[^{}]*\}|\|[A-Za-z]+\.[^.|]+\.|\|/g;
+
+/**
+ * Приводит имя поля к виду для сравнения
+ * @param {string} key - Имя поля
+ * @returns {string} Имя в нижнем регистре без '-' и '_'
+ */
+function normalizeRedactionKey(key) {
+  return `${key}`.toLowerCase().replace(/[-_]/g, "");
+}
+
+/**
+ * Создает функцию маскирования значения
+ * @param {string|Object|Function} replacement - Строка, {keep, char, length} или (value, context) => строка
+ * @returns {Function} (value, context) => строка
+ *
+ * @example
+ * createMask({ keep: 4 })('4111 1111 1111 1111') // '****1111'
+ */
+function createMask(replacement) {
+  if (typeof replacement === "function") {
+    return (value, context) => `${replacement(value, context)}`;
+  }
+
+  if (replacement && typeof replacement === "object") {
+    const keep = replacement.keep ?? 4;
+    const char = replacement.char ?? "*";
+    const length = replacement.length ?? 4;
+
+    // Короткие значения не раскрываются даже частично
+    return (value) =>
+      char.repeat(length) + (value.length > keep * 2 ? value.slice(-keep) : "");
+  }
+
+  const text = `${replacement ?? "[REDACTED]"}`;
+  return () => text;
+}
+
+/**
+ * Приводит настройку маскирования к рабочему виду
+ * @param {boolean|Object|null} config - false/null - выключено, true - по умолчанию
+ * @param {boolean} [config.enabled=true] - Включить маскирование
+ * @param {Array} [config.patterns] - Имена из REDACTION_PATTERNS, RegExp или {name, pattern, test}
+ * @param {Array} [config.keys=REDACTION_KEYS] - Окончания имен полей (строки) или RegExp
+ * @param {string|Object|Function} [config.replacement='[REDACTED]'] - Замена (см. createMask)
+ * @returns {Object|null} {rules, keys, mask} или null, если маскирование выключено
+ * @throws {Error} Если шаблон с таким именем не найден
+ */
+function resolveRedaction(config) {
+  if (!config) return null;
+
+  const options = config === true ? {} : config;
+  if (options.enabled === false) return null;
+
+  const rules = (options.patterns ?? Object.keys(REDACTION_PATTERNS)).map(
+    (entry) => {
+      const rule =
+        typeof entry === "string"
+          ? REDACTION_PATTERNS[entry]
+          : entry instanceof RegExp
+          ? { pattern: entry }
+          : entry;
+
+      if (!rule) {
+        throw new Error(`Неизвестный шаблон маскирования: ${entry}`);
+      }
+
+      const { pattern } = rule;
+      return {
+        name: typeof entry === "string" ? entry : rule.name ?? `${pattern}`,
+        pattern: pattern.global
+          ? pattern
+          : new RegExp(pattern.source, `${pattern.flags}g`),
+        test: rule.test,
+      };
+    }
+  );
+
+  const keys = (options.keys ?? REDACTION_KEYS).map((key) =>
+    key instanceof RegExp ? key : normalizeRedactionKey(key)
+  );
+
+  return { rules, keys, mask: createMask(options.replacement) };
+}
+
+/**
+ * Проверяет, маскируется ли поле с таким именем
+ * @param {Object} redaction - Рабочая настройка маскирования
+ * @param {string} key - Имя поля
+ * @returns {boolean} true для секретных полей
+ */
+function isSecretKey(redaction, key) {
+  const normalized = normalizeRedactionKey(key);
+
+  return redaction.keys.some((rule) =>
+    rule instanceof RegExp ? rule.test(key) : normalized.endsWith(rule)
+  );
+}
+
+/**
+ * Проверяет, является ли фрагмент в фигурных скобках тегом разметки
+ * @param {string} token - Фрагмент вида {имя}, {/имя} или {/}
+ * @returns {boolean} true для известного тега
+ */
+function isBraceTagToken(token) {
+  const closing = token[1] === "/";
+  const name = token.slice(closing ? 2 : 1, -1);
+  return (closing && !name) || Boolean(resolveBraceTag(name));
+}
+
+/**
+ * Маскирует секреты в тексте без разметки по шаблонам
+ * @param {string} text - Текст
+ * @param {Object} redaction - Рабочая настройка маскирования
+ * @returns {string} Текст с замаскированными секретами
+ */
+function redactPlainText(text, redaction) {
+  return redaction.rules.reduce(
+    (result, rule) =>
+      result.replace(rule.pattern, (...args) => {
+        const match = args[0];
+        const groups = args[args.length - 1];
+
+        if (rule.test && !rule.test(match)) return match;
+
+        const secret = typeof groups === "object" ? groups.secret : undefined;
+        if (secret === undefined) return redaction.mask(match, rule.name);
+
+        const index = match.lastIndexOf(secret);
+        return (
+          match.slice(0, index) +
+          redaction.mask(secret, rule.name) +
+          match.slice(index + secret.length)
+        );
+      }),
+    text
+  );
+}
+
+/**
+ * Маскирует секреты в строке по шаблонам
+ * Разметка и ANSI коды сохраняются, маскируется только текст между ними
+ * @param {string} text - Текст (может содержать разметку и ANSI коды)
+ * @param {Object} redaction - Рабочая настройка маскирования
+ * @returns {string} Текст с замаскированными секретами
  */
-export function configureLogSuppression(config = {}) {
-  suppressionConfig.enabled =
-    config.enabled !== undefined ? config.enabled : true;
-  suppressionConfig.timeout = config.timeout || 1000;
-  suppressionConfig.showCounter =
-    config.showCounter !== undefined ? config.showCounter : true;
+function redactString(text, redaction) {
+  const pattern = new RegExp(REDACTION_PROTECTED.source, "g");
+  let result = "";
+  let last = 0;
+  let match;
 
-  // Сброс истории при изменении конфигурации
-  if (config.resetHistory) {
-    Object.keys(lastLogs).forEach((key) => {
-      lastLogs[key] = { text: null, timestamp: 0 };
-    });
+  while ((match = pattern.exec(text)) !== null) {
+    const token = match[0];
+
+    // Скобки без тега - обычный текст, внутри ищутся другие фрагменты
+    if (token[0] === "{" && !isBraceTagToken(token)) {
+      pattern.lastIndex = match.index + 1;
+      continue;
+    }
+
+    result += redactPlainText(text.slice(last, match.index), redaction) + token;
+    last = pattern.lastIndex;
   }
+
+  return result + redactPlainText(text.slice(last), redaction);
 }
 
-// Счетчики повторений
-const repeatCounters = new Map();
 /**
- * Проверяет, является ли лог повторением
- * @param {string} type - Тип лога (debug, info, etc.)
- * @param {string} text - Текст лога
- * @returns {Object} {isRepeat: boolean, count: number}
+ * Маскирует секреты в значении: строки - по шаблонам, поля объектов -
+ * по именам. Объекты, массивы и ошибки копируются, исходные не меняются
+ * @param {*} value - Значение
+ * @param {Object} redaction - Рабочая настройка маскирования
+ * @param {Map} [seen=new Map()] - Уже обработанные объекты (циклические ссылки)
+ * @returns {*} Значение без секретов
  */
-function checkIfRepeat(type, text) {
-  if (!suppressionConfig.enabled) {
-    return { isRepeat: false, count: 0 };
+function redactValue(value, redaction, seen = new Map()) {
+  if (typeof value === "string") return redactString(value, redaction);
+  if (!value || typeof value !== "object") return value;
+  if (seen.has(value)) return seen.get(value);
+
+  if (Array.isArray(value)) {
+    const copy = [];
+    seen.set(value, copy);
+    value.forEach((item) => copy.push(redactValue(item, redaction, seen)));
+    return copy;
   }
 
-  const now = Date.now();
-  const lastLog = lastLogs[type];
+  const isError = value instanceof Error;
+  if (!isError && !isPlainObject(value)) return value;
 
-  // Если тот же текст и не истек таймаут
-  if (
-    lastLog.text === text &&
-    now - lastLog.timestamp < suppressionConfig.timeout
-  ) {
-    const key = `${type}:${text}`;
-    const count = (repeatCounters.get(key) || 0) + 1;
-    repeatCounters.set(key, count);
-    return { isRepeat: true, count };
-  }
+  // У ошибок сохраняются прототип и неперечисляемые message и stack
+  const copy = Object.create(Object.getPrototypeOf(value));
+  seen.set(value, copy);
 
-  // Обновляем последний лог
-  lastLogs[type] = { text, timestamp: now };
+  const keys = isError ? Object.getOwnPropertyNames(value) : Object.keys(value);
 
-  // Сбрасываем счетчик для этого типа+текста
-  const key = `${type}:${text}`;
-  if (repeatCounters.has(key)) {
-    const oldCount = repeatCounters.get(key);
-    repeatCounters.delete(key);
+  keys.forEach((key) => {
+    const descriptor = Object.getOwnPropertyDescriptor(value, key);
+    const item = descriptor.value;
 
-    // Если был предыдущий повтор, выводим счетчик
-    if (oldCount > 0 && suppressionConfig.showCounter) {
-      console.log(colorizeByText(`[Повторён ${oldCount} раз]`, "dim"));
+    if (!("value" in descriptor)) {
+      Object.defineProperty(copy, key, descriptor);
+      return;
     }
-  }
 
-  return { isRepeat: false, count: 0 };
+    descriptor.value =
+      isSecretKey(redaction, key) && item !== null && item !== undefined
+        ? redaction.mask(typeof item === "object" ? "" : `${item}`, key)
+        : redactValue(item, redaction, seen);
+    Object.defineProperty(copy, key, descriptor);
+  });
+
+  return copy;
+}
+
+/**
+ * Маскирует секреты в строке или объекте без логгера
+ * @param {*} value - Строка, объект, массив или ошибка
+ * @param {boolean|Object} [config=true] - Настройка (см. configureRedaction)
+ * @returns {*} Копия значения без секретов
+ *
+ * @example
+ * redact('Authorization: Bearer abc.def.ghi123') // 'Authorization: Bearer [REDACTED]'
+ * redact({ user: 'ann', password: 'qwerty' }) // { user: 'ann', password: '[REDACTED]' }
+ * redact('card 4111 1111 1111 1111', { replacement: { keep: 4 } }) // 'card ****1111'
+ */
+export function redact(value, config = true) {
+  const redaction = resolveRedaction(config);
+  return redaction ? redactValue(value, redaction) : value;
 }
 
 // =============================================================================
-// ПУБЛИЧНЫЙ API ЛОГГЕРА
+// ЗАХВАТ ВЫВОДА ДЛЯ ТЕСТОВ
 // =============================================================================
 
 /**
- * Объект логгера с методами для различных типов сообщений
- * @namespace LOG
+ * Ручные часы: время идет только при вызове advance, таймеры срабатывают
+ * по порядку внутри advance. Делают окна подавления и итоги ограничений
+ * частоты детерминированными в тестах
+ * @param {number} [start=0] - Начальное время (ms)
+ * @returns {Object} Часы {now, setTimeout, clearTimeout, advance, pending}
+ *
+ * @example
+ * const clock = createManualClock()
+ * clock.setTimeout(() => console.log('сработал'), 1000)
+ * clock.advance(1000) // 'сработал'
  */
-export const LOG = {
-  /**
-   * Вывод отладочного сообщения (синий цвет)
-   * @param {string} text - Текст сообщения
-   * @param {string} color - Цвет сообщения
-   * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
-   */
-  debug: (text, color = "blue", force = false) => {
-    if (typeof color === "boolean") {
-      force = color;
-      color = "blue";
-    }
+export function createManualClock(start = 0) {
+  let now = start;
+  let timers = [];
+  let nextId = 1;
 
-    const { isRepeat, count } = checkIfRepeat("debug", text);
+  return {
+    now: () => now,
 
-    if (!force && isRepeat && suppressionConfig.enabled) {
-      // Просто обновляем счетчик, не выводим
-      return;
-    }
+    setTimeout: (callback, delay = 0) => {
+      const id = nextId++;
+      timers.push({ id, at: now + Math.max(0, delay), callback });
+      return id;
+    },
 
-    if (isRepeat && count > 0 && suppressionConfig.showCounter) {
-      const counterText = ` ${colorizeByText(`[×${count + 1}]`, "dim")}`;
-      console.debug(colorizeByText(text, color) + counterText);
-    } else {
-      console.debug(colorizeByText(text, color));
-    }
-  },
+    clearTimeout: (id) => {
+      timers = timers.filter((timer) => timer.id !== id);
+    },
+
+    /**
+     * Сдвигает время, выполняя наступившие таймеры в порядке срабатывания
+     * @param {number} ms - Сдвиг (ms)
+     */
+    advance(ms) {
+      const target = now + ms;
+
+      for (;;) {
+        const due = timers
+          .filter((timer) => timer.at <= target)
+          .sort((a, b) => a.at - b.at || a.id - b.id)[0];
+        if (!due) break;
+
+        timers = timers.filter((timer) => timer !== due);
+        now = due.at;
+        due.callback();
+      }
+
+      now = target;
+    },
+
+    /**
+     * Число ожидающих таймеров
+     * @returns {number}
+     */
+    pending: () => timers.length,
+  };
+}
+
+/**
+ * Проверяет запись захвата по уровню и тексту
+ * @param {Object} record - Запись захвата
+ * @param {string|null} level - Уровень или null для любого
+ * @param {RegExp|string} [pattern] - Шаблон или подстрока текста
+ * @returns {boolean} true при совпадении
+ */
+function matchCaptured(record, level, pattern) {
+  if (level && record.level !== level) return false;
+  if (pattern === undefined) return true;
+
+  return pattern instanceof RegExp
+    ? new RegExp(pattern.source, pattern.flags.replace("g", "")).test(
+        record.text
+      )
+    : record.text.includes(pattern);
+}
+
+/**
+ * Создает накопитель записей, перехваченных у логгера
+ * @param {Object|null} clock - Ручные часы захвата
+ * @param {Function} stop - Завершение захвата
+ * @returns {Object} Накопитель {records, push, find, filter, expectNoErrors, text, clear, advance, clock, stop}
+ */
+function createCaptureRecorder(clock, stop) {
+  const records = [];
 
   /**
-   * Вывод информационного сообщения (обычный цвет)
-   * @param {string} text - Текст сообщения
-   * @param {string|null} color - Цвет сообщения
-   * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+   * Разбирает аргументы (level, pattern), где уровень можно опустить
+   * @param {Array} args - Аргументы find/filter
+   * @returns {Array} [level, pattern]
    */
-  info: (text, color = null, force = false) => {
-    if (typeof color === "boolean") {
-      force = color;
-      color = null;
-    }
+  const parse = (args) =>
+    args[0] instanceof RegExp ? [null, args[0]] : [args[0] || null, args[1]];
 
-    const { isRepeat, count } = checkIfRepeat("info", text);
+  return {
+    records,
 
-    if (!force && isRepeat && suppressionConfig.enabled) {
-      return;
-    }
+    /**
+     * Добавляет запись лога (вызывается логгером)
+     * @param {LogRecord} record - Запись лога
+     */
+    push(record) {
+      records.push({
+        level: record.level,
+        type: record.type,
+        text: stripAnsi(record.formatted),
+        msg: record.msg,
+        styled: record.formatted,
+        count: record.count,
+        force: record.force,
+        fields: record.fields,
+        error: record.error,
+        name: record.name,
+        time: record.time,
+      });
+    },
 
-    if (!color) {
-      if (isRepeat && count > 0 && suppressionConfig.showCounter) {
-        console.info(`${text} ${colorizeByText(`[×${count + 1}]`, "dim")}`);
-      } else {
-        console.info(text);
-      }
-    } else {
-      if (isRepeat && count > 0 && suppressionConfig.showCounter) {
-        console.info(
-          colorizeByText(text, color) +
-            colorizeByText(` [×${count + 1}]`, "dim")
-        );
-      } else {
-        console.info(colorizeByText(text, color));
+    /**
+     * Первая запись с уровнем и текстом по шаблону
+     * @param {string|null} [level] - Уровень или null для любого
+     * @param {RegExp|string} [pattern] - Шаблон или подстрока текста
+     * @returns {Object|undefined} Запись {level, type, text, msg, styled, count, force, ...}
+     *
+     * @example
+     * records.find('warn', /диск/i)
+     */
+    find: (...args) => {
+      const [level, pattern] = parse(args);
+      return records.find((record) => matchCaptured(record, level, pattern));
+    },
+
+    /**
+     * Все записи с уровнем и текстом по шаблону
+     * @param {string|null} [level] - Уровень или null для любого
+     * @param {RegExp|string} [pattern] - Шаблон или подстрока текста
+     * @returns {Array} Записи
+     */
+    filter: (...args) => {
+      const [level, pattern] = parse(args);
+      return records.filter((record) => matchCaptured(record, level, pattern));
+    },
+
+    /**
+     * Проверяет, что не было записей уровня error и fatal
+     * @throws {Error} Со списком записанных ошибок
+     */
+    expectNoErrors: () => {
+      const errors = records.filter(
+        (record) => LEVELS[record.level] >= LEVELS.error
+      );
+      if (!errors.length) return;
+
+      throw new Error(
+        `Ожидалось отсутствие ошибок, записано: ${errors.length}\n` +
+          errors.map((record) => `[${record.level}] ${record.text}`).join("\n")
+      );
+    },
+
+    /**
+     * Текст захвата без ANSI кодов для снимков (snapshot)
+     * @returns {string} Строки вида '[warn] Диск заполнен'
+     */
+    text: () =>
+      records.map((record) => `[${record.level}] ${record.text}`).join("\n"),
+
+    /**
+     * Удаляет накопленные записи
+     */
+    clear: () => {
+      records.length = 0;
+    },
+
+    clock,
+
+    /**
+     * Сдвигает ручные часы захвата (см. createManualClock)
+     * @param {number} ms - Сдвиг (ms)
+     * @throws {Error} Если захват запущен без ручных часов
+     */
+    advance: (ms) => {
+      if (!clock) {
+        throw new Error("Захват запущен без ручных часов (опция clock)");
       }
-    }
-  },
+      clock.advance(ms);
+    },
+
+    stop,
+  };
+}
+
+// =============================================================================
+// ФАБРИКА ЛОГГЕРОВ
+// =============================================================================
+
+/**
+ * Цвета методов логгера по умолчанию: одноименные стили активной темы,
+ * поэтому смена темы меняет и цвета методов
+ * @constant {Object}
+ */
+const DEFAULT_COLORS = {
+  trace: "trace",
+  debug: "debug",
+  info: "info",
+  warn: "warn",
+  error: "error",
+  fatal: "fatal",
+  print: undefined,
+};
+
+/**
+ * Соответствие типов логов методам вывода
+ * @constant {Object}
+ */
+const OUTPUT_METHODS = {
+  trace: "debug",
+  debug: "debug",
+  info: "info",
+  warn: "warn",
+  error: "error",
+  fatal: "error",
+  print: "log",
+  custom: "log",
+  log: "log",
+  table: "log",
+  box: "log",
+  section: "log",
+  gradient: "log",
+  dropped: "log",
+  progress: "log",
+  spinner: "log",
+  summary: "log",
+};
+
+/**
+ * Объединяет имена родительского и дочернего логгеров
+ * @param {string|null} parent - Имя родителя
+ * @param {string|null} name - Имя потомка
+ * @returns {string|null} Полное имя, например 'app:db'
+ */
+function joinNames(parent, name) {
+  if (!parent) return name || null;
+  if (!name) return parent;
+  return `${parent}:${name}`;
+}
+
+/**
+ * Создает независимый экземпляр логгера со своим состоянием подавления
+ * @param {Object} [options={}] - Настройки логгера
+ * @param {string} [options.name] - Имя логгера
+ * @param {Object} [options.colors] - Цвета по умолчанию для методов {debug, info, warn, error, print}
+ * @param {Array} [options.transports] - Транспорты записей (по умолчанию консоль)
+ * @param {Object} [options.output=console] - Консоль для транспорта по умолчанию (методы debug/info/warn/error/log)
+ * @param {string|number} [options.level] - Минимальный уровень вывода (по умолчанию LOG_LEVEL или 'trace')
+ * @param {string|number|boolean} [options.colorLevel='auto'] - Уровень цвета: 'auto', 'none', 'basic', 'ansi256', 'truecolor' или 0-3
+ * @param {string} [options.format] - Формат вывода: 'pretty' или 'json' (по умолчанию LOG_FORMAT или 'pretty')
+ * @param {string} [options.template='{msg}'] - Шаблон строки, например '{time:HH:mm:ss.SSS} {level:badge} [{name}] {msg}'
+ * @param {Object} [options.templateStyles] - Стили токенов шаблона в формате prepareObject ({name: {color: 'cyan'}})
+ * @param {Object} [options.badges] - Стили меток уровней для {level:badge} в формате prepareObject
+ * @param {Object} [options.suppression] - Конфигурация подавления {enabled, timeout, showCounter}
+ * @param {Object} [options.liveStream=process.stdout] - Поток для прогресса и спиннеров
+ * @param {boolean|Object} [options.redact] - Маскирование секретов: true или конфигурация (см. configureRedaction)
+ * @returns {Object} Экземпляр логгера с тем же API, что и LOG
+ *
+ * @example
+ * const db = createLogger({ name: 'db', colors: { info: 'cyan' } })
+ * db.info('Подключено')
+ *
+ * // Дочерний логгер наследует и переопределяет настройки родителя
+ * const pool = db.child({ name: 'pool', suppression: { enabled: true } })
+ */
+export function createLogger(options = {}) {
+  const settings = {
+    name: options.name || null,
+    colors: { ...DEFAULT_COLORS, ...options.colors },
+    transports: options.transports
+      ? [...options.transports]
+      : [createConsoleTransport({ console: options.output })],
+    level: resolveLevel(options.level ?? getEnvLevel() ?? "trace"),
+    colorLevel: resolveColorLevel(options.colorLevel ?? "auto"),
+    format: resolveFormat(options.format ?? getEnvFormat() ?? "pretty"),
+    template: options.template || "{msg}",
+    templateStyles: { ...options.templateStyles },
+    badges: { ...LEVEL_BADGES, ...options.badges },
+    namespace: Boolean(options.namespace),
+    liveStream: options.liveStream ?? globalThis.process?.stdout,
+    redact: options.redact ?? null,
+  };
+  const state = createSuppressionState(options.suppression);
+
+  // Рабочая настройка маскирования секретов (null - выключено)
+  let redaction = resolveRedaction(settings.redact);
 
   /**
-   * Вывод предупреждения (желтый цвет)
-   * @param {string} text - Текст предупреждения
-   * @param {string|null} color - Цвет предупреждения
-   * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+   * Маскирует секреты во входных данных до форматирования
+   * @param {*} value - Текст, объект, ошибка или список аргументов
+   * @returns {*} Значение без секретов
    */
-  warn: (text, color = "yellow", force = false) => {
-    if (typeof color === "boolean") {
-      force = color;
-      color = "yellow";
-    }
-    const { isRepeat, count } = checkIfRepeat("warn", text);
+  const clean = (value) => (redaction ? redactValue(value, redaction) : value);
 
-    if (!force && isRepeat && suppressionConfig.enabled) {
-      // Просто обновляем счетчик, не выводим
-      return;
-    }
+  // Точка отсчета для {time:relative}
+  const createdAt = Date.now();
 
-    if (isRepeat && count > 0 && suppressionConfig.showCounter) {
-      const counterText = ` ${colorizeByText(`[×${count + 1}]`, "dim")}`;
-      console.warn(colorizeByText(text, color) + counterText);
-    } else {
-      console.warn(colorizeByText(text, color));
-    }
-  },
+  // Время предыдущей строки для {delta} (у пространств имен - общее)
+  let lastTime = null;
+
+  // Активный захват вывода (см. startCapture)
+  let recorder = null;
 
   /**
-   * Вывод ошибки (красный цвет)
-   * @param {string} text - Текст ошибки
-   * @param {string|null} color - Цвет ошибки
-   * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+   * Проверяет, разрешен ли вывод пространства имен этого логгера
+   * @returns {boolean} true для обычных логгеров и включенных пространств
    */
-  error: (text, color = "red", force = false) => {
-    if (typeof color === "boolean") {
-      force = color;
-      color = "red";
-    }
-    const { isRepeat, count } = checkIfRepeat("error", text);
+  const isEnabled = () =>
+    !settings.namespace || isNamespaceEnabled(settings.name || "");
 
-    if (!force && isRepeat && suppressionConfig.enabled) {
-      // Просто обновляем счетчик, не выводим
+  /**
+   * Собирает запись по шаблону и передает ее всем транспортам логгера
+   * @param {Object} data - Поля записи {level, type, text, msg, count, force, fields}
+   * @param {string} body - Отформатированное сообщение для токена {msg}
+   * @param {string} [suffix=''] - Хвост строки после шаблона (счетчик повторов)
+   */
+  const dispatch = (data, body, suffix = "") => {
+    const time = state.clock.now();
+    const previous = settings.namespace
+      ? namespaceTimes.get(settings.name)
+      : lastTime;
+    const delta = time - (previous ?? time);
+
+    if (settings.namespace) namespaceTimes.set(settings.name, time);
+    else lastTime = time;
+
+    const line = formatTemplate(
+      settings.template,
+      {
+        msg: body,
+        level: data.level,
+        time,
+        name: settings.name,
+        start: createdAt,
+        delta,
+      },
+      settings.templateStyles,
+      settings.badges
+    );
+
+    // Object.assign вместо spread: литерал со spread и новыми полями
+    // заметно медленнее в горячем пути логгера
+    const record = Object.assign({}, data);
+    record.formatted = line + suffix;
+    record.time = time;
+    record.name = settings.name;
+    record.colorLevel = settings.colorLevel;
+    record.format = settings.format;
+
+    // Во время захвата записи не выводятся, а накапливаются для проверок
+    if (recorder) {
+      recorder.push(record);
       return;
     }
 
-    if (isRepeat && count > 0 && suppressionConfig.showCounter) {
-      const counterText = ` ${colorizeByText(`[×${count + 1}]`, "dim")}`;
-      console.error(colorizeByText(text, color) + counterText);
-    } else {
-      console.error(colorizeByText(text, color));
-    }
-  },
+    // Живые строки прогресса стираются на время вывода в терминал
+    // и рисуются ниже; файлы и память их не затрагивают
+    settings.transports.forEach((transport) => {
+      if (transport.isTTY) writeAboveLiveAreas(() => transport.write(record));
+      else transport.write(record);
+    });
+  };
 
   /**
-   * Вывод текста с произвольным цветом
-   * @param {string} text - Текст для вывода
-   * @param {string} color - Цветовой код (имя, HEX, RGB)
-   * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+   * Выводит итог подавленных повторов сообщения
+   * @param {Object} entry - Окно сообщения {type, text, msg}
+   * @param {number} count - Число повторов
    */
-  print: (text, color, force = false) => {
-    if (typeof color === "boolean") {
-      force = color;
-      color = undefined;
-    }
-    const { isRepeat, count } = checkIfRepeat("print", text);
+  const summarize = (entry, count) => {
+    dispatch(
+      {
+        level: METHOD_LEVELS[entry.type],
+        type: "summary",
+        text: entry.text,
+        msg: entry.msg ?? stripAnsi(entry.text),
+        count,
+        force: false,
+      },
+      colorizeByText(
+        formatSuppressionSummary(state.config, entry, count),
+        "muted"
+      )
+    );
+  };
+  state.onFlush = summarize;
 
-    if (!force && isRepeat && suppressionConfig.enabled) {
-      // Просто обновляем счетчик, не выводим
-      return;
-    }
+  /**
+   * Выводит итог о сообщениях, пропущенных ограничением частоты
+   * @param {string} level - Уровень пропущенных сообщений
+   * @param {number} count - Их число
+   * @param {number} seconds - Длительность периода (s)
+   */
+  state.onDropped = (level, count, seconds) => {
+    const message = formatDroppedSummary(state.config, level, count, seconds);
 
-    if (isRepeat && count > 0 && suppressionConfig.showCounter) {
-      const counterText = ` ${colorizeByText(`[×${count + 1}]`, "dim")}`;
-      console.log(colorizeByText(text, color) + counterText);
-    } else {
-      console.log(colorizeByText(text, color));
-    }
-  },
+    dispatch(
+      {
+        level,
+        type: "dropped",
+        text: message,
+        msg: message,
+        count,
+        force: false,
+      },
+      colorizeByText(message, "muted")
+    );
+  };
 
   /**
-   * Расширенное форматирование с опциями
-   * @param {string} text - Текст для форматирования
-   * @param {Object} options - Опции форматирования
-   * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+   * Общий путь вывода: проверка повторов, счетчик и передача транспортам
+   * @param {string} type - Тип лога
+   * @param {string} text - Исходный текст (ключ для подавления)
+   * @param {Function} render - Функция форматирования текста
+   * @param {boolean} force - Принудительный вывод
+   * @param {Object} [fields] - Дополнительные поля записи
+   * @param {Error} [error] - Ошибка для структурного вывода
    */
-  custom: (text, options, force = false) => {
-    const { isRepeat, count } = checkIfRepeat("custom", text);
+  const write = (type, text, render, force, fields, error) => {
+    // Отсеченные по уровню сообщения не форматируются и не учитываются
+    if (LEVELS[METHOD_LEVELS[type]] < settings.level || !isEnabled()) return;
 
-    if (!force && isRepeat && suppressionConfig.enabled) {
+    const { isRepeat, count, flushed, entry, closed } = checkIfRepeat(
+      state,
+      type,
+      text
+    );
+
+    if (flushed) summarize(closed, flushed);
+
+    if (!force && isRepeat && state.config.enabled) {
       // Просто обновляем счетчик, не выводим
       return;
     }
 
-    if (isRepeat && count > 0 && suppressionConfig.showCounter) {
-      const counterText = ` ${colorizeByText(`[×${count + 1}]`, "dim")}`;
-      console.log(prepareCustomLog(text, options) + counterText);
-    } else {
-      console.log(prepareCustomLog(text, options));
+    // Ограничения частоты (принудительный вывод их не расходует)
+    if (!force && !checkRateLimit(state, METHOD_LEVELS[type])) {
+      // Невыведенное сообщение не открывает окно повторов
+      if (entry) discardEntry(state, entry);
+      return;
     }
-  },
+
+    const body = render();
+    const msg = error ? text : stripAnsi(body);
+
+    // Итог повторов выводит тот же текст, что и само сообщение
+    if (entry && entry.msg === null) entry.msg = msg;
+
+    const counter =
+      isRepeat && count > 0 && state.config.showCounter
+        ? ` ${colorizeByText(`[×${count + 1}]`, "muted")}`
+        : "";
+
+    dispatch(
+      {
+        level: METHOD_LEVELS[type],
+        type,
+        text,
+        msg,
+        count: isRepeat ? count + 1 : 0,
+        force,
+        fields,
+        error,
+      },
+      body,
+      counter
+    );
+  };
 
   /**
-   * Сброс истории повторяющихся логов
+   * Создает метод вывода с сигнатурой (text, color, force, fields)
+   * Последний аргумент-объект считается полями записи
+   * @param {string} type - Тип лога
+   * @returns {Function} Метод логгера
    */
-  resetSuppression: () => {
-    Object.keys(lastLogs).forEach((key) => {
-      lastLogs[key] = { text: null, timestamp: 0 };
-    });
-    repeatCounters.clear();
-  },
+  const colored =
+    (type) =>
+    (text, ...args) => {
+      const fields = isPlainObject(args[args.length - 1])
+        ? clean(args.pop())
+        : undefined;
+      let [color = settings.colors[type], force = false] = args;
+
+      if (typeof color === "boolean") {
+        force = color;
+        color = settings.colors[type];
+      }
+
+      text = clean(text);
+
+      // Ошибки выводятся со стеком, а в JSON - структурой
+      if (text instanceof Error) {
+        const error = text;
+        const key = `${error.name}: ${error.message}`;
+        write(type, key, () => renderError(error), force, fields, error);
+        return;
+      }
+
+      // Объекты и другие нестроковые значения выводятся через inspect
+      if (typeof text !== "string") text = inspect(text);
+
+      write(type, text, () => colorizeByText(text, color), force, fields);
+    };
 
   /**
-   * Получить статистику повторений
-   * @returns {Object} Статистика
+   * Вывод для живых строк: поток TTY и печать обычными записями
+   * Если уровень info отключен, живые строки не рисуются
+   * @param {string} type - Тип записей ('progress' или 'spinner')
+   * @param {Object} [stream] - Поток, заданный в опциях
+   * @returns {Object} Вывод {stream, colorLevel, redact, print, done}
    */
-  getSuppressionStats: () => {
-    return {
-      config: { ...suppressionConfig },
-      counters: Array.from(repeatCounters.entries()).map(([key, count]) => ({
-        key,
-        count,
-      })),
-    };
-  },
+  const liveOutput = (type, stream) => ({
+    stream: logger.isLevelEnabled("info")
+      ? stream ?? settings.liveStream
+      : null,
+    colorLevel: settings.colorLevel,
+    redact: clean,
+    print: (line) => {
+      const safe = clean(line);
+      write(type, stripAnsi(safe), () => safe, false);
+    },
+    done: (line, doneType = type) => {
+      const safe = clean(line);
+      write(doneType, stripAnsi(safe), () => safe, false);
+    },
+  });
+
   /**
-   * Включить подавление логов
+   * Вывод произвольного числа аргументов в стиле console.log
+   * Первая ошибка среди аргументов попадает в JSON поле err, как в LOG.error
+   * @param {string} type - Тип лога (уровень или 'log')
+   * @param {Array} args - Аргументы вызова
    */
-  enableSuppression: () => {
-    configureLogSuppression({ enabled: true });
-  },
+  const variadic = (type, args) => {
+    // Форматирование аргументов - дорогое, поэтому уровень проверяется заранее
+    if (!logger.isLevelEnabled(METHOD_LEVELS[type])) return;
+
+    const values = clean(args);
+    const line = formatArgs(values);
+    const error = values.find((value) => value instanceof Error);
+
+    // В JSON сообщение содержит ошибки без стека: стек уходит в поле err
+    const text = error
+      ? formatArgs(
+          values.map((value) =>
+            value instanceof Error ? `${value.name}: ${value.message}` : value
+          ),
+          { colors: false }
+        )
+      : line;
+
+    write(type, stripAnsi(text), () => line, false, undefined, error);
+  };
 
   /**
-   * Выключить подавление логов
+   * Экземпляр логгера с методами для различных типов сообщений
    */
-  disableSuppression: () => {
-    configureLogSuppression({ enabled: false });
-  },
-};
+  const logger = {
+    /**
+     * Имя логгера
+     * @type {string|null}
+     */
+    name: settings.name,
+
+    /**
+     * Вывод трассировочного сообщения (белый цвет)
+     * @param {string} text - Текст сообщения
+     * @param {string} color - Цвет сообщения
+     * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+     * @param {Object} [fields] - Дополнительные поля записи (в JSON режиме)
+     */
+    trace: colored("trace"),
+
+    /**
+     * Вывод отладочного сообщения (синий цвет)
+     * @param {string} text - Текст сообщения
+     * @param {string} color - Цвет сообщения
+     * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+     * @param {Object} [fields] - Дополнительные поля записи (в JSON режиме)
+     */
+    debug: colored("debug"),
+
+    /**
+     * Вывод информационного сообщения (обычный цвет)
+     * @param {string} text - Текст сообщения
+     * @param {string|null} color - Цвет сообщения
+     * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+     * @param {Object} [fields] - Дополнительные поля записи (в JSON режиме)
+     */
+    info: colored("info"),
+
+    /**
+     * Вывод предупреждения (желтый цвет)
+     * @param {string} text - Текст предупреждения
+     * @param {string|null} color - Цвет предупреждения
+     * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+     * @param {Object} [fields] - Дополнительные поля записи (в JSON режиме)
+     */
+    warn: colored("warn"),
+
+    /**
+     * Вывод ошибки (красный цвет)
+     * @param {string} text - Текст ошибки
+     * @param {string|null} color - Цвет ошибки
+     * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+     * @param {Object} [fields] - Дополнительные поля записи (в JSON режиме)
+     */
+    error: colored("error"),
+
+    /**
+     * Вывод критической ошибки (красный цвет)
+     * @param {string} text - Текст ошибки
+     * @param {string|null} color - Цвет ошибки
+     * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+     * @param {Object} [fields] - Дополнительные поля записи (в JSON режиме)
+     */
+    fatal: colored("fatal"),
+
+    /**
+     * Вывод текста с произвольным цветом
+     * @param {string} text - Текст для вывода
+     * @param {string} color - Цветовой код (имя, HEX, RGB)
+     * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+     * @param {Object} [fields] - Дополнительные поля записи (в JSON режиме)
+     */
+    print: colored("print"),
+
+    /**
+     * Расширенное форматирование с опциями
+     * @param {string} text - Текст для форматирования (разметка {red}…{/red} или |c.red.…|)
+     * @param {Object} options - Опции форматирования prepareCustomLog; {strict: true} - ошибка на некорректной разметке
+     * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+     * @param {Object} [fields] - Дополнительные поля записи (в JSON режиме)
+     */
+    custom: (text, options, force = false, fields) => {
+      if (isPlainObject(force)) {
+        fields = force;
+        force = false;
+      }
+
+      const safe = clean(text);
+
+      write(
+        "custom",
+        safe,
+        () => prepareCustomLog(safe, options),
+        force,
+        clean(fields)
+      );
+    },
+
+    /**
+     * Вывод нескольких значений (уровень info): строки выводятся как есть,
+     * объекты - с подсветкой синтаксиса, поддерживаются подстановки %s %d %i %f %o %O %j
+     * @param {...*} args - Значения для вывода
+     *
+     * @example
+     * LOG.log('user', user, { id }) // объекты раскрашиваются как в inspect
+     * LOG.log('%s обработал %d запросов', worker, 42)
+     */
+    log: (...args) => {
+      variadic("log", args);
+    },
+
+    /**
+     * Вывод нескольких значений с указанным уровнем
+     * Число соответствует ближайшему уровню не выше него (25 - debug)
+     * @param {string|number} level - Уровень (trace, debug, info, warn, error, fatal) или число
+     * @param {...*} args - Значения для вывода (как в LOG.log)
+     * @throws {Error} Для неизвестного уровня и для 'silent'
+     *
+     * @example
+     * LOG.logAt('warn', 'Медленный запрос', { sql, ms })
+     * LOG.logAt(40, 'Медленный запрос')
+     */
+    logAt: (level, ...args) => {
+      const value = resolveLevel(level);
+
+      if (value === LEVELS.silent) {
+        throw new Error(
+          "Уровень silent отключает вывод и не подходит для записи"
+        );
+      }
+
+      // Уровни в LEVELS перечислены по возрастанию
+      const name = Object.keys(LEVELS)
+        .filter((key) => LEVELS[key] <= value)
+        .pop();
+
+      variadic(name || "trace", args);
+    },
+
+    /**
+     * Вывод таблицы (уровень info)
+     * @param {Array} rows - Строки: массивы значений или объекты
+     * @param {Object} [options] - Опции renderTable {columns, align, border, headerStyle, markup, ...}
+     * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+     *
+     * @example
+     * LOG.table(users, { columns: ['id', 'name'], border: 'rounded' })
+     */
+    table: (rows, options, force = false) => {
+      if (!logger.isLevelEnabled("info")) return;
+
+      const table = renderTable(clean(rows), options);
+      write("table", stripAnsi(table), () => table, force);
+    },
+
+    /**
+     * Вывод текста в рамке (уровень info)
+     * @param {string} text - Содержимое, с опцией markup поддерживает разметку |c.…|
+     * @param {Object} [options] - Опции renderBox {title, padding, borderColor, borderStyle, align, markup}
+     * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+     *
+     * @example
+     * LOG.box('Готово за 3.2s', { title: 'build', borderColor: 'green' })
+     */
+    box: (text, options, force = false) => {
+      if (!logger.isLevelEnabled("info")) return;
+
+      const box = renderBox(clean(text), options);
+      write("box", stripAnsi(box), () => box, force);
+    },
+
+    /**
+     * Вывод заголовка раздела на всю ширину (уровень info)
+     * @param {string} title - Заголовок
+     * @param {Object} [options] - Опции renderSection {char, color, titleColor, align, width, markup}
+     * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+     */
+    section: (title, options, force = false) => {
+      if (!logger.isLevelEnabled("info")) return;
+
+      const section = renderSection(clean(title), options);
+      write("section", stripAnsi(section), () => section, force);
+    },
+
+    /**
+     * Вывод текста с градиентом (уровень info)
+     * @param {string} text - Текст, поддерживает разметку и несколько строк
+     * @param {Array|string} colors - Опорные цвета или имя готового градиента ('rainbow')
+     * @param {Object} [options] - Опции gradient {space, perLine, background}
+     * @param {boolean} [force=false] - Принудительный вывод, игнорируя подавление
+     *
+     * @example
+     * LOG.gradient('Сервер запущен', ['#ff0000', '#0000ff'])
+     * LOG.gradient(banner, 'rainbow', { perLine: true })
+     */
+    gradient: (text, colors, options, force = false) => {
+      if (!logger.isLevelEnabled("info")) return;
+
+      const line = gradient(renderMarkup(clean(text)), colors, options);
+      write("gradient", stripAnsi(line), () => line, force);
+    },
+
+    /**
+     * Полоса прогресса, обновляемая на месте (уровень info)
+     * В TTY строка перерисовывается под обычными логами, без TTY
+     * состояние выводится строками не чаще options.interval
+     * @param {Object} [options] - Опции {total, format, width, complete, incomplete, color, text, interval, stream}
+     * @returns {Object} Полоса {tick(step, text), update(value, text), done(text), stop(), value}
+     *
+     * @example
+     * const bar = LOG.progress({ total: files.length, format: '{bar} {percent} {text}' })
+     * files.forEach((file) => bar.tick(1, file))
+     * bar.done('Готово')
+     */
+    progress: (options = {}) =>
+      createProgressBar(liveOutput("progress", options.stream), options),
+
+    /**
+     * Спиннер, анимируемый на месте (уровень info)
+     * @param {string} [text] - Текст рядом со спиннером
+     * @param {Object} [options] - Опции {frames, color, stream}
+     * @returns {Object} Спиннер {update(text), succeed(text), fail(text), stop()}
+     *
+     * @example
+     * const spinner = LOG.spinner('Установка зависимостей')
+     * await install()
+     * spinner.succeed('Зависимости установлены')
+     */
+    spinner: (text, options = {}) =>
+      createSpinner(liveOutput("spinner", options.stream), text, options),
+
+    /**
+     * Создает дочерний логгер, наследующий настройки текущего
+     * @param {Object} [overrides={}] - Переопределяемые настройки (как в createLogger)
+     * @returns {Object} Новый независимый экземпляр логгера
+     *
+     * @example
+     * const http = LOG.child({ name: 'http', colors: { info: 'green' } })
+     */
+    child: (overrides = {}) =>
+      createLogger({
+        ...overrides,
+        name: joinNames(settings.name, overrides.name),
+        colors: { ...settings.colors, ...overrides.colors },
+        transports:
+          overrides.transports ||
+          (overrides.output ? undefined : settings.transports),
+        level: overrides.level ?? settings.level,
+        colorLevel: overrides.colorLevel ?? settings.colorLevel ?? "auto",
+        format: overrides.format ?? settings.format,
+        template: overrides.template || settings.template,
+        templateStyles: {
+          ...settings.templateStyles,
+          ...overrides.templateStyles,
+        },
+        badges: { ...settings.badges, ...overrides.badges },
+        namespace: overrides.namespace ?? settings.namespace,
+        suppression: { ...state.config, ...overrides.suppression },
+        liveStream: overrides.liveStream ?? settings.liveStream,
+        redact: overrides.redact ?? settings.redact,
+      }),
+
+    /**
+     * Создает логгер пространства имен в стиле пакета debug
+     * Вывод включается шаблонами DEBUG или enableNamespaces(), имя окрашивается
+     * стабильным цветом, а {delta} показывает время с предыдущей строки
+     * @param {string} namespace - Пространство имен, например 'db:pool'
+     * @param {Object} [overrides={}] - Дополнительные настройки (как в child)
+     * @returns {Object} Логгер пространства имен
+     *
+     * @example
+     * // DEBUG=db:*,-db:verbose node app.js
+     * const log = LOG.ns('db:pool')
+     * log.debug('Соединение получено') // db:pool Соединение получено +12ms
+     */
+    ns: (namespace, overrides = {}) => {
+      const name = joinNames(settings.name, namespace);
+      const color = { color: namespaceColor(name) };
+
+      return logger.child({
+        template:
+          settings.template === "{msg}"
+            ? "{name} {msg} {delta}"
+            : settings.template,
+        ...overrides,
+        name: namespace,
+        namespace: true,
+        templateStyles: {
+          name: { ...color, style: "bold" },
+          delta: color,
+          ...overrides.templateStyles,
+        },
+      });
+    },
+
+    /**
+     * Меняет список включенных пространств имен во время работы
+     * @param {string} patterns - Шаблоны, например 'db:*,-db:verbose'
+     */
+    enableNamespaces: (patterns) => {
+      enableNamespaces(patterns);
+    },
+
+    /**
+     * Выключает все пространства имен
+     * @returns {string} Предыдущий список шаблонов
+     */
+    disableNamespaces: () => disableNamespaces(),
+
+    /**
+     * Устанавливает минимальный уровень вывода
+     * @param {string|number} level - Имя уровня или число
+     *
+     * @example
+     * LOG.setLevel('warn') // debug и info больше не выводятся
+     */
+    setLevel: (level) => {
+      settings.level = resolveLevel(level);
+    },
+
+    /**
+     * Возвращает текущий минимальный уровень
+     * @returns {string|number} Имя уровня или число, если имени нет
+     */
+    getLevel: () => {
+      const key = Object.keys(LEVELS).find((i) => LEVELS[i] === settings.level);
+      return key || settings.level;
+    },
+
+    /**
+     * Проверяет, будет ли выведено сообщение указанного уровня
+     * @param {string|number} level - Имя уровня или число
+     * @returns {boolean} true, если уровень не ниже минимального
+     *
+     * @example
+     * if (LOG.isLevelEnabled('debug')) LOG.debug(buildExpensiveDump())
+     */
+    isLevelEnabled: (level) => {
+      const value = resolveLevel(level);
+      return value !== Infinity && value >= settings.level && isEnabled();
+    },
+
+    /**
+     * Явно задает уровень цвета ('auto' возвращает автоопределение)
+     * @param {string|number|boolean} level - Уровень цвета
+     *
+     * @example
+     * LOG.setColorLevel('none') // вывод без escape-последовательностей
+     * LOG.setColorLevel(COLOR_LEVELS.ansi256)
+     */
+    setColorLevel: (level) => {
+      settings.colorLevel = resolveColorLevel(level);
+    },
+
+    /**
+     * Возвращает действующий уровень цвета для стандартного вывода
+     * @returns {number} Уровень из COLOR_LEVELS
+     */
+    getColorLevel: () =>
+      settings.colorLevel ?? detectColorLevel(globalThis.process?.stdout),
+
+    /**
+     * Переключает формат вывода
+     * @param {string} format - 'pretty' (цветной текст) или 'json' (NDJSON)
+     *
+     * @example
+     * LOG.setFormat('json')
+     * LOG.info('Запрос обработан', { ms: 12 })
+     * // {"level":"info","time":"...","msg":"Запрос обработан","fields":{"ms":12}}
+     */
+    setFormat: (format) => {
+      settings.format = resolveFormat(format);
+    },
+
+    /**
+     * Возвращает текущий формат вывода
+     * @returns {string} 'pretty' или 'json'
+     */
+    getFormat: () => settings.format,
+
+    /**
+     * Переключает тему оформления (тема общая для всех логгеров)
+     * @param {string|Object} theme - Имя темы ('dark', 'light', зарегистрированная) или объект стилей
+     *
+     * @example
+     * LOG.setTheme('light')
+     * LOG.print('Сохранено', 'success')
+     */
+    setTheme: (theme) => {
+      setTheme(theme);
+    },
+
+    /**
+     * Возвращает активную тему
+     * @returns {Object} {name, styles}
+     */
+    getTheme: () => getTheme(),
+
+    /**
+     * Задает шаблон строки лога
+     * @param {string} template - Шаблон с токенами {time}, {level}, {name}, {pid}, {hostname}, {msg}
+     * @param {Object} [styles] - Стили токенов в формате prepareObject
+     *
+     * @example
+     * LOG.setTemplate('{time:HH:mm:ss} {level:badge} {msg}', { time: { style: 'dim' } })
+     */
+    setTemplate: (template, styles) => {
+      settings.template = template || "{msg}";
+      if (styles) settings.templateStyles = { ...styles };
+    },
+
+    /**
+     * Добавляет транспорт
+     * @param {Object} transport - Транспорт с методом write(record)
+     *
+     * @example
+     * LOG.addTransport(createStreamTransport({ stream: fileStream, colorLevel: 'none' }))
+     */
+    addTransport: (transport) => {
+      settings.transports.push(transport);
+    },
+
+    /**
+     * Удаляет транспорт
+     * @param {Object} transport - Ранее добавленный транспорт
+     */
+    removeTransport: (transport) => {
+      settings.transports = settings.transports.filter((i) => i !== transport);
+    },
+
+    /**
+     * Завершает захват вывода, если он запущен
+     * @returns {Array} Захваченные записи
+     */
+    stopCapture: () => (recorder ? recorder.stop() : []),
+
+    /**
+     * Заменяет все транспорты логгера
+     * @param {Array} transports - Транспорты с методом write(record)
+     *
+     * @example
+     * LOG.setTransports([createAsyncTransport()])
+     */
+    setTransports: (transports) => {
+      settings.transports = [...transports];
+    },
+
+    /**
+     * Выводит накопленные итоги подавления и дожидается сброса буферов
+     * транспортов (метод flush транспорта может вернуть Promise)
+     * @returns {Promise} Завершается, когда все транспорты записали данные
+     *
+     * @example
+     * await LOG.flush()
+     * process.exit(0)
+     */
+    flush: () => {
+      flushSuppression(state);
+
+      return Promise.all(
+        settings.transports.map((transport) => transport.flush?.())
+      ).then(() => undefined);
+    },
+
+    /**
+     * Настройка маскирования секретов для этого экземпляра
+     * @param {boolean|Object} [config={}] - Конфигурация (см. configureRedaction), false - выключить
+     */
+    configureRedaction: (config = {}) => {
+      redaction = resolveRedaction(config);
+      settings.redact = config;
+    },
+
+    /**
+     * Настройка подавления повторов для этого экземпляра
+     * @param {Object} config - Конфигурация (см. configureLogSuppression)
+     */
+    configureSuppression: (config = {}) => {
+      applySuppressionConfig(state, config);
+    },
+
+    /**
+     * Сброс истории повторяющихся логов
+     */
+    resetSuppression: () => {
+      resetSuppressionState(state);
+    },
+
+    /**
+     * Получить статистику повторений
+     * @returns {Object} Статистика {config, tracked, dropped: {debug: 1204}, counters: [{key, type, text, count}]}
+     */
+    getSuppressionStats: () => {
+      return {
+        config: { ...state.config },
+        tracked: state.entries.size,
+        dropped: { ...state.droppedTotal },
+        counters: Array.from(state.pending).map((entry) => ({
+          key: entry.key,
+          type: entry.type,
+          text: entry.text,
+          count: entry.count,
+        })),
+      };
+    },
+
+    /**
+     * Начинает захват вывода: записи не передаются транспортам, а копятся
+     * в накопителе. Накопленные итоги подавления выводятся, история
+     * сбрасывается, с опцией clock окна повторов и итоги отсчитываются
+     * по ручным часам. Захват и часы относятся только к этому экземпляру:
+     * дочерние логгеры и пространства имен имеют свое состояние подавления
+     * и захватываются отдельно
+     * @param {Object} [options={}] - Опции
+     * @param {boolean|Object} [options.clock=false] - true - ручные часы (createManualClock),
+     *   объект - свои часы {now, setTimeout, clearTimeout}
+     * @param {number} [options.now=0] - Начальное время ручных часов (ms)
+     * @returns {Object} Накопитель {records, find, filter, expectNoErrors, text, clear, advance, clock, stop}
+     *
+     * @example
+     * const records = LOG.capture({ clock: true })
+     * LOG.warn('Диск заполнен')
+     * LOG.warn('Диск заполнен')
+     * records.advance(1000)
+     * records.find('warn', /повтор/i).count // 1
+     * records.expectNoErrors()
+     * records.stop()
+     */
+    startCapture: (options = {}) => {
+      if (recorder) recorder.stop();
+
+      const previousClock = state.clock;
+      const clock =
+        options.clock === true
+          ? createManualClock(options.now ?? 0)
+          : options.clock || null;
+
+      // Итоги вывода до захвата уходят транспортам, а не в накопитель
+      flushSuppression(state);
+      resetSuppressionState(state);
+      if (clock) state.clock = clock;
+
+      const current = createCaptureRecorder(clock, () => {
+        if (recorder !== current) return current.records;
+
+        // Итоги захваченных повторов попадают в накопитель
+        flushSuppression(state);
+        resetSuppressionState(state);
+        state.clock = previousClock;
+        recorder = null;
+        return current.records;
+      });
+
+      recorder = current;
+      return current;
+    },
+
+    /**
+     * Короткое имя startCapture
+     * @param {Object} [options={}] - Опции (см. startCapture)
+     * @returns {Object} Накопитель записей
+     */
+    capture: (options) => logger.startCapture(options),
+
+    /**
+     * Сразу выводит итоги всех накопленных повторов
+     */
+    flushSuppression: () => {
+      flushSuppression(state);
+    },
+
+    /**
+     * Включить подавление логов
+     */
+    enableSuppression: () => {
+      applySuppressionConfig(state, { enabled: true });
+    },
+
+    /**
+     * Выключить подавление логов
+     */
+    disableSuppression: () => {
+      applySuppressionConfig(state, { enabled: false });
+    },
+  };
+
+  return logger;
+}
+
+// =============================================================================
+// ПУБЛИЧНЫЙ API ЛОГГЕРА
+// =============================================================================
+
+/**
+ * Логгер по умолчанию
+ * @namespace LOG
+ */
+export const LOG = createLogger();
+
+/**
+ * Включает/выключает подавление повторяющихся логов у логгера по умолчанию
+ * @param {Object} config - Конфигурация
+ * @param {boolean} [config.enabled] - Включить подавление (см. applySuppressionConfig)
+ * @param {number} [config.timeout=1000] - Таймаут для определения повторов (ms)
+ * @param {boolean} [config.showCounter=true] - Показывать счетчик повторений
+ * @param {number} [config.maxEntries=1000] - Максимум отслеживаемых сообщений
+ * @param {boolean|Function|Array} [config.normalize=false] - Нормализация текста перед сравнением
+ * @param {string} [config.locale='ru'] - Язык итоговой строки
+ * @param {string|Function} [config.summary] - Формат итоговой строки
+ * @param {Object} [config.limits] - Ограничения частоты по уровням: { debug: { rate: 50 } }
+ * @param {number} [config.summaryInterval=5000] - Период итогов о пропущенных сообщениях (ms)
+ */
+export function configureLogSuppression(config = {}) {
+  LOG.configureSuppression(config);
+}
+
+/**
+ * Включает маскирование секретов у логгера по умолчанию
+ * Маскирование выполняется до форматирования, поэтому секреты не попадают
+ * ни в цветной вывод, ни в JSON, файлы и HTML
+ * @param {boolean|Object} [config={}] - Конфигурация, false - выключить
+ * @param {boolean} [config.enabled=true] - Включить маскирование
+ * @param {Array} [config.patterns] - Имена из REDACTION_PATTERNS ('bearer', 'jwt', 'aws', 'card', 'email'), RegExp или {name, pattern, test}
+ * @param {Array} [config.keys=REDACTION_KEYS] - Окончания имен полей объектов (строки) или RegExp
+ * @param {string|Object|Function} [config.replacement='[REDACTED]'] - Замена: строка,
+ *   {keep: 4, char: '*', length: 4} для '****1234' или (value, context) => строка
+ *
+ * @example
+ * configureRedaction({ keys: [...REDACTION_KEYS, 'ssn'], replacement: { keep: 4 } })
+ */
+export function configureRedaction(config = {}) {
+  LOG.configureRedaction(config);
+}
@@ -0,0 +1,858 @@
+/**
+ * ТРАНСПОРТЫ ДЛЯ NODE.JS
+ *
+ * Транспорты, которым нужны модули Node.js (fs, zlib). Вынесены из основного
+ * модуля, чтобы index.js оставался пригодным для сборщиков и браузера.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import zlib from "zlib";
+
+import {
+  COLOR_LEVELS,
+  ansiHtmlStyles,
+  ansiToHtml,
+  createStreamTransport,
+  renderRecord,
+  setHostname,
+  stripAnsi,
+  writeAboveLiveAreas,
+} from "./index.js";
+
+// Имя хоста для токена {hostname} на любой версии Node.js
+setHostname(os.hostname());
+
+// =============================================================================
+// ФАЙЛОВЫЙ ТРАНСПОРТ
+// =============================================================================
+
+/**
+ * Ключ суток для ежедневной ротации
+ * @param {number} time - Время (ms)
+ * @returns {string} Дата в формате YYYY-MM-DD (локальное время)
+ */
+function dayKey(time) {
+  const date = new Date(time);
+  const pad = (value) => `${value}`.padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(
+    date.getDate()
+  )}`;
+}
+
+/**
+ * Имя архивного файла с номером
+ * @param {string} file - Путь к основному файлу
+ * @param {number} index - Номер архива (1 - самый новый)
+ * @param {boolean} compressed - Архив сжат gzip
+ * @returns {string} Путь к архиву
+ */
+function archiveName(file, index, compressed) {
+  return `${file}.${index}${compressed ? ".gz" : ""}`;
+}
+
+/**
+ * Транспорт в файл с ротацией по размеру или по суткам
+ * Строки пишутся без ANSI кодов (или в JSON), накапливаются и сбрасываются
+ * на диск пачкой; ошибки уровня error и выше записываются сразу,
+ * а при завершении процесса буфер сбрасывается синхронно
+ * @param {Object} options - Настройки
+ * @param {string} options.path - Путь к файлу лога
+ * @param {string} [options.format] - Формат строк: 'text' или 'json' (по умолчанию формат логгера)
+ * @param {number} [options.maxSize=0] - Максимальный размер файла в байтах (0 - без ограничения)
+ * @param {string|null} [options.interval=null] - 'daily' для ежедневной ротации
+ * @param {number} [options.maxFiles=5] - Сколько архивных файлов хранить
+ * @param {boolean} [options.compress=false] - Сжимать архивы gzip
+ * @param {string|null} [options.reopenOn=null] - Сигнал для повторного открытия файла, например 'SIGHUP'
+ * @param {Function} [options.onError] - Обработчик ошибок записи
+ * @returns {Object} Транспорт {write, flush, reopen, rotate, close}; после close записи игнорируются
+ *
+ * @example
+ * const file = createFileTransport({
+ *   path: './logs/app.log',
+ *   maxSize: 10 * 1024 * 1024,
+ *   maxFiles: 7,
+ *   compress: true,
+ *   reopenOn: 'SIGHUP'
+ * })
+ * LOG.addTransport(file)
+ */
+export function createFileTransport(options = {}) {
+  if (!options.path) {
+    throw new Error("Не указан путь к файлу лога (options.path)");
+  }
+
+  const file = path.resolve(options.path);
+  const format = options.format
+    ? options.format === "json"
+      ? "json"
+      : "pretty"
+    : undefined;
+  const maxSize = options.maxSize || 0;
+  const daily = options.interval === "daily";
+  const maxFiles = options.maxFiles ?? 5;
+  const compress = Boolean(options.compress);
+  const onError = options.onError || ((error) => process.emitWarning(error));
+
+  let fd = null;
+  let size = 0;
+  let day = null;
+  let pending = [];
+  let scheduled = null;
+  let closed = false;
+
+  /**
+   * Открывает файл на дозапись и запоминает его размер и дату
+   */
+  const open = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fd = fs.openSync(file, "a");
+
+    const stats = fs.fstatSync(fd);
+    size = stats.size;
+    day = dayKey(stats.size ? stats.mtimeMs : Date.now());
+  };
+
+  /**
+   * Сжимает архив и удаляет несжатую копию
+   * @param {string} source - Путь к архиву
+   */
+  const gzip = (source) => {
+    fs.writeFileSync(`${source}.gz`, zlib.gzipSync(fs.readFileSync(source)));
+    fs.unlinkSync(source);
+  };
+
+  /**
+   * Переименовывает текущий файл в архив .1, сдвигая старые архивы
+   */
+  const rotate = () => {
+    if (fd !== null) fs.closeSync(fd);
+    fd = null;
+
+    // Удаление самого старого архива и сдвиг остальных
+    for (let index = maxFiles; index >= 1; index--) {
+      const source = archiveName(file, index, compress);
+      if (!fs.existsSync(source)) continue;
+
+      if (index === maxFiles) fs.unlinkSync(source);
+      else fs.renameSync(source, archiveName(file, index + 1, compress));
+    }
+
+    if (maxFiles > 0 && fs.existsSync(file)) {
+      fs.renameSync(file, archiveName(file, 1, false));
+      if (compress) gzip(archiveName(file, 1, false));
+    } else if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+
+    open();
+  };
+
+  /**
+   * Синхронно записывает накопленные строки, выполняя ротацию по необходимости
+   */
+  const flush = () => {
+    if (scheduled) clearImmediate(scheduled);
+    scheduled = null;
+
+    if (!pending.length) return;
+
+    const lines = pending;
+    pending = [];
+
+    try {
+      if (fd === null) open();
+
+      let chunk = "";
+      let chunkSize = 0;
+
+      lines.forEach(({ line, time }) => {
+        const bytes = Buffer.byteLength(line);
+        const needRotate =
+          (maxSize &&
+            size + chunkSize > 0 &&
+            size + chunkSize + bytes > maxSize) ||
+          (daily && dayKey(time) !== day);
+
+        if (needRotate) {
+          if (chunk) fs.writeSync(fd, chunk);
+          size += chunkSize;
+          chunk = "";
+          chunkSize = 0;
+          rotate();
+          day = dayKey(time);
+        }
+
+        chunk += line;
+        chunkSize += bytes;
+      });
+
+      if (chunk) fs.writeSync(fd, chunk);
+      size += chunkSize;
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  /**
+   * Закрывает и заново открывает файл (после внешней ротации logrotate)
+   */
+  const reopen = () => {
+    if (closed) return;
+
+    flush();
+    if (fd !== null) fs.closeSync(fd);
+    fd = null;
+
+    try {
+      open();
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  process.on("exit", flush);
+  if (options.reopenOn) process.on(options.reopenOn, reopen);
+
+  return {
+    write(record) {
+      if (closed) return;
+
+      const line = renderRecord(record, COLOR_LEVELS.none, format) + "\n";
+      pending.push({ line, time: record.time });
+
+      // Ошибки не должны теряться при падении процесса
+      if (record.level === "error" || record.level === "fatal") {
+        flush();
+      } else if (!scheduled) {
+        scheduled = setImmediate(flush);
+      }
+    },
+
+    flush,
+
+    reopen,
+
+    /**
+     * Принудительная ротация файла
+     */
+    rotate: () => {
+      if (closed) return;
+
+      flush();
+      try {
+        rotate();
+      } catch (error) {
+        onError(error);
+      }
+    },
+
+    /**
+     * Сбрасывает буфер, закрывает файл и снимает обработчики процесса
+     */
+    close: () => {
+      if (closed) return;
+
+      flush();
+      if (fd !== null) fs.closeSync(fd);
+      fd = null;
+      closed = true;
+
+      process.removeListener("exit", flush);
+      if (options.reopenOn) process.removeListener(options.reopenOn, reopen);
+    },
+  };
+}
+
+// =============================================================================
+// HTML ТРАНСПОРТ
+// =============================================================================
+
+/**
+ * Транспорт в самодостаточный HTML файл (стили внутри документа)
+ * Файл создается заново; строки копятся и дописываются пачкой перед
+ * закрывающими тегами, поэтому документ корректен после каждой записи.
+ * Ошибки уровня error и выше записываются сразу, а при завершении процесса
+ * буфер сбрасывается синхронно
+ * @param {Object} options - Настройки
+ * @param {string} options.path - Путь к HTML файлу
+ * @param {string} [options.title] - Заголовок страницы (по умолчанию имя файла)
+ * @param {string|Object} [options.theme='dark'] - Палитра (см. ansiToHtml)
+ * @param {boolean|string} [options.classes=false] - CSS классы вместо style (см. ansiToHtml)
+ * @param {Function} [options.onError] - Обработчик ошибок записи
+ * @returns {Object} Транспорт {write, flush, close}
+ *
+ * @example
+ * LOG.addTransport(createHtmlTransport({ path: './reports/build.html', theme: 'light' }))
+ */
+export function createHtmlTransport(options = {}) {
+  if (!options.path) {
+    throw new Error("Не указан путь к HTML файлу лога (options.path)");
+  }
+
+  const file = path.resolve(options.path);
+  const html = { theme: options.theme, classes: options.classes };
+  const classPrefix =
+    typeof options.classes === "string" ? options.classes : "ansi-";
+  const title = ansiToHtml(stripAnsi(options.title || path.basename(file)));
+  const onError = options.onError || ((error) => process.emitWarning(error));
+
+  const header = [
+    "<!DOCTYPE html>",
+    "<html>",
+    "<head>",
+    '<meta charset="utf-8">',
+    `<title>${title}</title>`,
+    "<style>",
+    "body { margin: 0; }",
+    `pre.${classPrefix}log { margin: 0; padding: 1em; min-height: 100vh; box-sizing: border-box; font: 13px/1.4 ui-monospace, Menlo, Consolas, monospace; white-space: pre-wrap; }`,
+    ansiHtmlStyles(html),
+    "</style>",
+    "</head>",
+    "<body>",
+    `<pre class="${classPrefix}log">`,
+  ].join("\n");
+  const footer = "</pre>\n</body>\n</html>\n";
+
+  let fd = null;
+  let offset = 0;
+  let pending = [];
+  let scheduled = null;
+  let closed = false;
+
+  /**
+   * Создает файл с заголовком и закрывающими тегами документа
+   */
+  const open = () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fd = fs.openSync(file, "w");
+    fs.writeSync(fd, header + footer);
+    offset = Buffer.byteLength(header);
+  };
+
+  /**
+   * Синхронно дописывает накопленные строки перед закрывающими тегами
+   */
+  const flush = () => {
+    if (scheduled) clearImmediate(scheduled);
+    scheduled = null;
+
+    if (!pending.length) return;
+
+    const chunk = pending.join("");
+    pending = [];
+
+    try {
+      if (fd === null) open();
+
+      // Закрывающие теги перезаписываются вместе с новыми строками
+      fs.writeSync(fd, chunk + footer, offset);
+      offset += Buffer.byteLength(chunk);
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  process.on("exit", flush);
+
+  return {
+    write(record) {
+      // После close() файл не открывается заново: "w" стер бы его
+      if (closed) return;
+
+      const line = renderRecord(record, COLOR_LEVELS.truecolor, "pretty");
+      pending.push(ansiToHtml(line, html) + "\n");
+
+      // Ошибки не должны теряться при падении процесса
+      if (record.level === "error" || record.level === "fatal") {
+        flush();
+      } else if (!scheduled) {
+        scheduled = setImmediate(flush);
+      }
+    },
+
+    flush,
+
+    /**
+     * Сбрасывает буфер, закрывает файл и снимает обработчик процесса
+     */
+    close: () => {
+      if (closed) return;
+
+      flush();
+      if (fd !== null) fs.closeSync(fd);
+      fd = null;
+      closed = true;
+
+      process.removeListener("exit", flush);
+    },
+  };
+}
+
+// =============================================================================
+// АСИНХРОННЫЙ БУФЕРИЗОВАННЫЙ ВЫВОД
+// =============================================================================
+
+/**
+ * Сообщения о записях, пропущенных при переполнении буфера, по языкам
+ * Шаблон с {count} или функция (count) => строка
+ * @constant {Object}
+ */
+export const DROP_MESSAGES = {
+  ru: "[Буфер лога переполнен, пропущено записей: {count}]",
+  en: "[Log buffer overflow, dropped {count} records]",
+};
+
+/**
+ * Выбирает сообщение о пропущенных записях
+ * @param {Object} options - Настройки буфера {dropMessage, locale}
+ * @returns {string|Function|null} Шаблон, функция или null - не выводить
+ */
+function getDropMessage(options) {
+  if (options.dropMessage !== undefined) return options.dropMessage;
+
+  const locale = options.locale ?? "ru";
+  const message = Object.prototype.hasOwnProperty.call(DROP_MESSAGES, locale)
+    ? DROP_MESSAGES[locale]
+    : DROP_MESSAGES.ru;
+
+  return typeof message === "string" || typeof message === "function"
+    ? message
+    : DROP_MESSAGES.ru;
+}
+
+/**
+ * Политики переполнения буфера
+ * @constant {Array}
+ */
+const OVERFLOW_POLICIES = ["drop", "block"];
+
+/**
+ * Асинхронные буферы, которые сбрасываются при завершении процесса
+ * @type {Set}
+ */
+const asyncWriters = new Set();
+
+/**
+ * Синхронно сбрасывает все асинхронные буферы
+ */
+function flushWritersSync() {
+  asyncWriters.forEach((writer) => writer.flushSync());
+}
+
+/**
+ * Сбрасывает буферы по SIGTERM; если других обработчиков сигнала нет,
+ * процесс завершается так же, как без логгера
+ */
+function flushOnTerminate() {
+  flushWritersSync();
+
+  if (process.listenerCount("SIGTERM") === 1) {
+    process.removeListener("SIGTERM", flushOnTerminate);
+    process.kill(process.pid, "SIGTERM");
+  }
+}
+
+/**
+ * События процесса, при которых буферы сбрасываются синхронно
+ * uncaughtExceptionMonitor не меняет стандартную обработку исключения
+ * @constant {Array}
+ */
+const PROCESS_HOOKS = [
+  ["exit", flushWritersSync],
+  ["uncaughtExceptionMonitor", flushWritersSync],
+  ["SIGTERM", flushOnTerminate],
+];
+
+/**
+ * Добавляет буфер в список сбрасываемых при завершении процесса
+ * @param {Object} writer - Асинхронный буфер
+ */
+function watchWriter(writer) {
+  if (!asyncWriters.size) {
+    PROCESS_HOOKS.forEach(([event, handler]) => process.on(event, handler));
+  }
+  asyncWriters.add(writer);
+}
+
+/**
+ * Убирает буфер из списка сбрасываемых при завершении процесса
+ * @param {Object} writer - Асинхронный буфер
+ */
+function unwatchWriter(writer) {
+  if (!asyncWriters.delete(writer) || asyncWriters.size) return;
+
+  PROCESS_HOOKS.forEach(([event, handler]) =>
+    process.removeListener(event, handler)
+  );
+}
+
+/**
+ * Ячейка для Atomics.wait: синхронная пауза без нагрузки на процессор
+ * @constant {Int32Array}
+ */
+const SLEEP_CELL = new Int32Array(new SharedArrayBuffer(4));
+
+/**
+ * Записывает данные в файловый дескриптор, пока он их принимает
+ * Неблокирующий pipe может принять данные частично или ответить EAGAIN:
+ * тогда запись повторяется с паузами, но не дольше timeout
+ * @param {number} fd - Файловый дескриптор
+ * @param {string} data - Данные
+ * @param {number} timeout - Предельное время ожидания читателя (ms)
+ * @returns {number} Число незаписанных байт
+ */
+function writeFullySync(fd, data, timeout) {
+  let buffer = Buffer.from(data);
+  const deadline = Date.now() + timeout;
+  let delay = 1;
+
+  while (buffer.length) {
+    try {
+      buffer = buffer.subarray(fs.writeSync(fd, buffer));
+      delay = 1;
+    } catch (error) {
+      if (error.code !== "EAGAIN") throw error;
+
+      const left = deadline - Date.now();
+      if (left <= 0) break;
+
+      Atomics.wait(SLEEP_CELL, 0, 0, Math.min(delay, left));
+      delay = Math.min(delay * 2, 50);
+    }
+  }
+
+  return buffer.length;
+}
+
+/**
+ * Буфер, накапливающий строки и записывающий их в поток пачками
+ * Учитывает обратное давление: при write() === false запись продолжается
+ * после события 'drain'. Если буфер переполнен, новые строки пропускаются
+ * (политика 'drop') или буфер синхронно записывается в дескриптор потока
+ * (политика 'block'). При завершении процесса, необработанном исключении
+ * и SIGTERM буфер сбрасывается синхронно
+ * @param {Object} [options={}] - Настройки
+ * @param {Object} [options.stream=process.stdout] - Записываемый поток
+ * @param {number} [options.bufferSize=4194304] - Максимальный размер буфера в байтах
+ * @param {number} [options.chunkSize=65536] - Размер пачки для одного write() в байтах
+ * @param {string} [options.overflow='drop'] - Политика переполнения: 'drop' или 'block'
+ * @param {string} [options.locale='ru'] - Язык сообщения о пропущенных записях (ключ DROP_MESSAGES)
+ * @param {string|Function|null} [options.dropMessage] - Шаблон с {count} или функция (count) => строка, null - не выводить
+ * @param {Function} [options.onDrop] - Вызывается с числом пропущенных записей
+ * @param {number} [options.syncTimeout=1000] - Сколько синхронная запись ждет читателя pipe (ms),
+ *   после чего остаток пропускается и сообщается в onError
+ * @param {Function} [options.onError] - Обработчик ошибок записи
+ * @returns {Object} Буфер {write, flush, flushSync, getStats, close, isTTY}
+ * @throws {Error} Если политика переполнения неизвестна
+ *
+ * @example
+ * const writer = createAsyncWriter({ stream: process.stdout, overflow: 'block' })
+ * writer.write('строка\n')
+ * await writer.flush()
+ */
+export function createAsyncWriter(options = {}) {
+  const stream = options.stream || process.stdout;
+  const bufferSize = options.bufferSize ?? 4 * 1024 * 1024;
+  const chunkSize = options.chunkSize ?? 64 * 1024;
+  const overflow = options.overflow ?? "drop";
+  const syncTimeout = options.syncTimeout ?? 1000;
+  const dropMessage = getDropMessage(options);
+  const onError = options.onError || ((error) => process.emitWarning(error));
+
+  if (!OVERFLOW_POLICIES.includes(overflow)) {
+    throw new Error(`Неизвестная политика переполнения буфера: ${overflow}`);
+  }
+
+  let lines = [];
+  let sizes = [];
+  let head = 0;
+  let buffered = 0;
+  let dropped = 0;
+  let inFlight = 0;
+  let waiting = false;
+  let scheduled = null;
+  let closed = false;
+  let waiters = [];
+
+  const stats = {
+    written: 0,
+    dropped: 0,
+    droppedBytes: 0,
+    chunks: 0,
+    drains: 0,
+  };
+
+  /**
+   * Добавляет строку в конец буфера
+   * @param {string} line - Строка
+   * @param {number} size - Ее размер в байтах
+   */
+  const push = (line, size) => {
+    lines.push(line);
+    sizes.push(size);
+    buffered += size;
+  };
+
+  /**
+   * Извлекает из начала буфера строки общим размером до limit байт
+   * @param {number} limit - Предельный размер пачки
+   * @returns {string} Пачка строк
+   */
+  const take = (limit) => {
+    let end = head;
+    let size = 0;
+
+    while (end < lines.length && (end === head || size + sizes[end] <= limit)) {
+      size += sizes[end++];
+    }
+
+    const chunk = lines.slice(head, end).join("");
+    stats.written += end - head;
+    buffered -= size;
+    head = end;
+
+    // Прочитанное начало массивов отбрасывается не на каждой пачке
+    if (head === lines.length || head > 4096) {
+      lines = lines.slice(head);
+      sizes = sizes.slice(head);
+      head = 0;
+    }
+
+    return chunk;
+  };
+
+  /**
+   * Ставит в буфер сообщение о пропущенных записях
+   */
+  const reportDropped = () => {
+    const count = dropped;
+    dropped = 0;
+
+    if (dropMessage) {
+      const notice =
+        typeof dropMessage === "function"
+          ? `${dropMessage(count)}\n`
+          : `${dropMessage}\n`.replace(/\{count\}/g, count);
+      push(notice, Buffer.byteLength(notice));
+    }
+    if (options.onDrop) options.onDrop(count);
+  };
+
+  /**
+   * Завершает ожидания flush(), когда все данные переданы потоку
+   */
+  const settle = () => {
+    if (lines.length > head || inFlight || scheduled) return;
+
+    const resolved = waiters;
+    waiters = [];
+    resolved.forEach((resolve) => resolve());
+  };
+
+  /**
+   * Завершение записи пачки потоком
+   * @param {Error} [error] - Ошибка записи
+   */
+  const done = (error) => {
+    inFlight--;
+    if (error) onError(error);
+    settle();
+  };
+
+  /**
+   * Выводит в поток; в терминале - над живыми строками прогресса,
+   * иначе запись вне вызова логгера испортит их перерисовку
+   * @param {Function} fn - Функция вывода
+   */
+  const output = (fn) => (stream.isTTY ? writeAboveLiveAreas(fn) : fn());
+
+  /**
+   * Передает пачку потоку
+   * @param {string} chunk - Пачка строк
+   * @returns {boolean} Результат stream.write()
+   */
+  const send = (chunk) => {
+    inFlight++;
+    stats.chunks++;
+    return stream.write(chunk, done);
+  };
+
+  /**
+   * Синхронная запись в дескриптор возможна, только если в очереди
+   * самого потока нет данных: иначе строки обгонят уже переданные
+   * @returns {boolean} Можно писать в дескриптор напрямую
+   */
+  const canWriteSync = () =>
+    typeof stream.fd === "number" && !stream.writableLength;
+
+  /**
+   * Записывает пачки в поток, пока он не попросит подождать
+   */
+  const drain = () => {
+    if (scheduled) clearImmediate(scheduled);
+    scheduled = null;
+
+    output(() => {
+      while (lines.length > head && !waiting) {
+        if (!send(take(chunkSize))) {
+          waiting = true;
+          stream.once("drain", () => {
+            waiting = false;
+            stats.drains++;
+            drain();
+          });
+        }
+      }
+    });
+
+    settle();
+  };
+
+  /**
+   * Синхронно записывает весь буфер в дескриптор потока
+   * Если поток еще не записал ранее переданные пачки, буфер передается
+   * ему же, чтобы сохранить порядок строк
+   */
+  const flushSync = () => {
+    if (dropped) reportDropped();
+    if (scheduled) clearImmediate(scheduled);
+    scheduled = null;
+
+    if (lines.length === head) return;
+
+    const data = take(Infinity);
+    let left = 0;
+
+    try {
+      output(() => {
+        if (canWriteSync()) left = writeFullySync(stream.fd, data, syncTimeout);
+        else send(data);
+      });
+    } catch (error) {
+      onError(error);
+    }
+
+    // Читатель pipe не принимает данные: остаток пропускается
+    if (left) {
+      stats.droppedBytes += left;
+      onError(
+        new Error(
+          `Поток не принимает данные ${syncTimeout} ms, пропущено байт: ${left}`
+        )
+      );
+    }
+
+    settle();
+  };
+
+  /**
+   * Записывает оставшиеся строки и дожидается их передачи потоку
+   * @returns {Promise} Завершается, когда буфер пуст
+   */
+  const flush = () => {
+    if (dropped) reportDropped();
+    if (!waiting) drain();
+
+    return new Promise((resolve) => {
+      waiters.push(resolve);
+      settle();
+    });
+  };
+
+  const writer = {
+    /**
+     * Поток вывода - терминал (для определения поддержки цвета)
+     * @type {boolean}
+     */
+    get isTTY() {
+      return Boolean(stream.isTTY);
+    },
+
+    /**
+     * Добавляет строку в буфер
+     * @param {string} line - Строка (вместе с переводом строки)
+     * @returns {boolean} false, если строка пропущена
+     */
+    write(line) {
+      if (closed) return false;
+
+      const size = Buffer.byteLength(line);
+
+      if (buffered + size > bufferSize) {
+        if (overflow === "drop") {
+          dropped++;
+          stats.dropped++;
+          return false;
+        }
+
+        // Без дескриптора или при очереди в потоке синхронная запись
+        // нарушит порядок строк: буфер растет
+        if (canWriteSync()) flushSync();
+      }
+
+      if (dropped) reportDropped();
+      push(line, size);
+
+      if (!scheduled && !waiting) scheduled = setImmediate(drain);
+      return true;
+    },
+
+    flush,
+
+    flushSync,
+
+    /**
+     * Статистика буфера
+     * @returns {Object} {buffered, lines, written, dropped, droppedBytes, chunks, drains}
+     */
+    getStats: () => ({ buffered, lines: lines.length - head, ...stats }),
+
+    /**
+     * Записывает буфер и отключает сброс при завершении процесса
+     * @returns {Promise} Завершается после записи буфера
+     */
+    close: () =>
+      flush().then(() => {
+        closed = true;
+        unwatchWriter(writer);
+      }),
+  };
+
+  watchWriter(writer);
+  return writer;
+}
+
+/**
+ * Транспорт с асинхронным буферизованным выводом в поток
+ * Вызовы логгера только форматируют строку и кладут ее в буфер;
+ * запись в поток выполняется пачками вне вызова
+ * @param {Object} [options={}] - Настройки буфера (см. createAsyncWriter) и вывода
+ * @param {string|number} [options.colorLevel='auto'] - Уровень цвета
+ * @param {string} [options.eol='\n'] - Разделитель строк
+ * @param {string} [options.format] - Формат вывода (по умолчанию формат логгера)
+ * @returns {Object} Транспорт {write, flush, flushSync, getStats, close}
+ *
+ * @example
+ * LOG.setTransports([createAsyncTransport({ overflow: 'drop', onDrop: (n) => metrics.add(n) })])
+ * // ...
+ * await LOG.flush()
+ */
+export function createAsyncTransport(options = {}) {
+  const writer = createAsyncWriter(options);
+  const transport = createStreamTransport({
+    stream: writer,
+    colorLevel: options.colorLevel,
+    eol: options.eol,
+    format: options.format,
+  });
+
+  return {
+    write: transport.write,
+    flush: writer.flush,
+    flushSync: writer.flushSync,
+    getStats: writer.getStats,
+    close: writer.close,
+  };
+}